@@ -0,0 +1,125 @@
+// api_keys.js - the provider API key, kept out of chrome.storage.sync
+//
+// Loaded by background.js and the popup; content scripts never see the key.
+// The key lives in chrome.storage.local, so it isn't synced to every
+// browser the user signs into. With a passphrase it is stored encrypted
+// (AES-GCM with a PBKDF2-derived key) and only the unlocked copy in
+// chrome.storage.session can be used; that copy is gone when the browser
+// closes, so the popup has to unlock it again.
+
+const API_KEY_KEY = "apiKey"; // chrome.storage.local, { key } or { encrypted }
+const UNLOCKED_API_KEY_KEY = "unlockedApiKey"; // chrome.storage.session
+const PBKDF2_ITERATIONS = 250000;
+
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)));
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+}
+
+async function derivePassphraseKey(passphrase, salt) {
+  const material = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(passphrase),
+    "PBKDF2",
+    false,
+    ["deriveKey"]
+  );
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", salt, iterations: PBKDF2_ITERATIONS, hash: "SHA-256" },
+    material,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+}
+
+// { salt, iv, data }, all base64
+async function encryptApiKey(apiKey, passphrase) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt(
+    { name: "AES-GCM", iv },
+    await derivePassphraseKey(passphrase, salt),
+    new TextEncoder().encode(apiKey)
+  );
+  return { salt: toBase64(salt), iv: toBase64(iv), data: toBase64(data) };
+}
+
+// AES-GCM fails on a wrong passphrase instead of returning garbage
+async function decryptApiKey(encrypted, passphrase) {
+  try {
+    const data = await crypto.subtle.decrypt(
+      { name: "AES-GCM", iv: fromBase64(encrypted.iv) },
+      await derivePassphraseKey(passphrase, fromBase64(encrypted.salt)),
+      fromBase64(encrypted.data)
+    );
+    return new TextDecoder().decode(data);
+  } catch (error) {
+    throw new Error("Wrong passphrase");
+  }
+}
+
+// Older versions kept the key in the synced settings as groqApiKey. Run by
+// background.js on install and browser startup, not on every read.
+async function migrateApiKey() {
+  const { groqApiKey } = await chrome.storage.sync.get("groqApiKey");
+  if (groqApiKey === undefined) return;
+
+  const items = await chrome.storage.local.get(API_KEY_KEY);
+  if (!items[API_KEY_KEY] && groqApiKey) {
+    await chrome.storage.local.set({ [API_KEY_KEY]: { key: groqApiKey } });
+  }
+  await chrome.storage.sync.remove("groqApiKey");
+}
+
+// { key, locked }: key is "" when there is none or it is still locked
+async function loadApiKey() {
+  const items = await chrome.storage.local.get(API_KEY_KEY);
+  const stored = items[API_KEY_KEY];
+  if (!stored) return { key: "", locked: false };
+  if (!stored.encrypted) return { key: stored.key, locked: false };
+
+  const session = await chrome.storage.session.get(UNLOCKED_API_KEY_KEY);
+  const key = session[UNLOCKED_API_KEY_KEY] || "";
+  return { key, locked: !key };
+}
+
+// loadApiKey() and whether the stored key is encrypted, for the popup
+async function getApiKeyStatus() {
+  const status = await loadApiKey();
+  const items = await chrome.storage.local.get(API_KEY_KEY);
+  return { ...status, encrypted: Boolean(items[API_KEY_KEY]?.encrypted) };
+}
+
+// An empty key removes it; with a passphrase the key is encrypted and
+// stays unlocked for this browser session
+async function saveApiKey(apiKey, passphrase = "") {
+  if (!apiKey) {
+    await chrome.storage.local.remove(API_KEY_KEY);
+    await chrome.storage.session.remove(UNLOCKED_API_KEY_KEY);
+    return;
+  }
+
+  if (!passphrase) {
+    await chrome.storage.local.set({ [API_KEY_KEY]: { key: apiKey } });
+    await chrome.storage.session.remove(UNLOCKED_API_KEY_KEY);
+    return;
+  }
+
+  const encrypted = await encryptApiKey(apiKey, passphrase);
+  await chrome.storage.local.set({ [API_KEY_KEY]: { encrypted } });
+  await chrome.storage.session.set({ [UNLOCKED_API_KEY_KEY]: apiKey });
+}
+
+// Throws "Wrong passphrase"; a key that isn't encrypted needs no unlocking
+async function unlockApiKey(passphrase) {
+  const items = await chrome.storage.local.get(API_KEY_KEY);
+  const stored = items[API_KEY_KEY];
+  if (!stored?.encrypted) return;
+
+  const apiKey = await decryptApiKey(stored.encrypted, passphrase);
+  await chrome.storage.session.set({ [UNLOCKED_API_KEY_KEY]: apiKey });
+}
@@ -0,0 +1,258 @@
+// automation_controller.js - one on/off/paused state for every X tab
+//
+// Loaded by background.js. The popup changes the mode with "setAutomation",
+// the controller stores it, tells every X tab with an "automationState"
+// message and keeps what each tab reports back ("tabStatus") so the popup
+// can show it. Content scripts never decide the mode on their own.
+//
+// Only one tab, the runner, automates at a time. Budgets, the processed
+// tweet list and the API queue already live in the background, so every
+// tab shares them; the others stay on standby until the runner closes.
+//
+// With a schedule, the "schedule" alarm switches the mode at the start and
+// end of each working window (see schedule.js).
+
+const AUTOMATION_STATE_KEY = "automationState";
+const TAB_STATUS_KEY = "tabStatuses"; // chrome.storage.session
+const RUNNER_TAB_KEY = "runnerTabId"; // chrome.storage.session
+const SCHEDULE_RUN_KEY = "scheduleRun"; // the window automation runs in
+const AUTOMATION_MODES = ["on", "off", "paused"];
+const TAB_STATES = [
+  "running",
+  "idle",
+  "standby",
+  "rate_limited",
+  "selectors_broken",
+  "error",
+];
+
+function queryXTabs() {
+  return chrome.tabs.query({ url: ["*://*.twitter.com/*", "*://*.x.com/*"] });
+}
+
+// { mode, reason, changedAt }. Installs from before the controller only
+// have the automationEnabled setting to go on.
+async function getAutomationState() {
+  const items = await chrome.storage.local.get(AUTOMATION_STATE_KEY);
+  if (items[AUTOMATION_STATE_KEY]) return items[AUTOMATION_STATE_KEY];
+
+  const settings = await loadSettings();
+  return {
+    mode: settings.automationEnabled ? "on" : "off",
+    reason: "",
+    changedAt: 0,
+  };
+}
+
+// Off ends the budget session, paused keeps its clock running. A reason
+// (budget stop, error) is kept for the popup.
+async function setAutomationMode(mode, reason = "") {
+  if (!AUTOMATION_MODES.includes(mode)) {
+    throw new Error(`Unknown automation mode "${mode}"`);
+  }
+
+  const state = { mode, reason, changedAt: Date.now() };
+  await chrome.storage.local.set({ [AUTOMATION_STATE_KEY]: state });
+  await saveSettings({ automationEnabled: mode !== "off" });
+
+  if (mode === "on") {
+    await startBudgetSession();
+    await chrome.storage.local.remove("automationStopReason");
+    await ensureContentScripts();
+  } else if (mode === "off") {
+    await endBudgetSession();
+    if (reason) {
+      await chrome.storage.local.set({
+        automationStopReason: { reason, at: state.changedAt },
+      });
+    }
+  }
+
+  await broadcastAutomationState(state);
+  return state;
+}
+
+// Each tab gets the shared state plus whether it is the runner
+async function broadcastAutomationState(state) {
+  const runnerTabId = await getRunnerTabId();
+  const tabs = await queryXTabs();
+  await Promise.allSettled(
+    tabs.map((tab) =>
+      chrome.tabs.sendMessage(tab.id, {
+        type: "automationState",
+        state: { ...state, isRunner: tab.id === runnerTabId },
+      })
+    )
+  );
+}
+
+// What a content script asks for when it starts
+async function getTabAutomationState(tabId) {
+  const [state, runnerTabId] = await Promise.all([
+    getAutomationState(),
+    getRunnerTabId(tabId),
+  ]);
+  return { ...state, isRunner: tabId === runnerTabId };
+}
+
+// The stored runner while its tab is still an X tab; otherwise the active
+// X tab (or the first one) takes over. askingTabId already gets the state
+// in its reply, so it isn't sent a second, unordered message.
+async function getRunnerTabId(askingTabId = null) {
+  const [items, tabs] = await Promise.all([
+    chrome.storage.session.get(RUNNER_TAB_KEY),
+    queryXTabs(),
+  ]);
+  const runnerTabId = items[RUNNER_TAB_KEY];
+  if (tabs.some((tab) => tab.id === runnerTabId)) return runnerTabId;
+  if (tabs.length === 0) return null;
+
+  const tab = tabs.find((tab) => tab.active) || tabs[0];
+  await chrome.storage.session.set({ [RUNNER_TAB_KEY]: tab.id });
+
+  // Tell the new runner right away; the other tabs already aren't running
+  if (tab.id === askingTabId) return tab.id;
+  chrome.tabs
+    .sendMessage(tab.id, {
+      type: "automationState",
+      state: { ...(await getAutomationState()), isRunner: true },
+    })
+    .catch(() => {});
+  return tab.id;
+}
+
+// The popup's "Run here"
+async function setRunnerTab(tabId) {
+  await chrome.storage.session.set({ [RUNNER_TAB_KEY]: tabId });
+  await broadcastAutomationState(await getAutomationState());
+}
+
+// The runner closed or left X: hand the duty to another tab right away
+async function handleRunnerTabGone(tabId) {
+  const items = await chrome.storage.session.get(RUNNER_TAB_KEY);
+  if (items[RUNNER_TAB_KEY] !== tabId) return;
+
+  await chrome.storage.session.remove(RUNNER_TAB_KEY);
+  await broadcastAutomationState(await getAutomationState());
+}
+
+// status: { state, lastActionAt, error } as reported by a content script
+function updateTabStatus(tabId, status) {
+  return serializedStorageUpdate("session", TAB_STATUS_KEY, (statuses = {}) => {
+    statuses[tabId] = {
+      state: TAB_STATES.includes(status.state) ? status.state : "idle",
+      lastActionAt: status.lastActionAt || statuses[tabId]?.lastActionAt || 0,
+      error: status.error || "",
+      updatedAt: Date.now(),
+    };
+    return statuses;
+  });
+}
+
+function removeTabStatus(tabId) {
+  return serializedStorageUpdate("session", TAB_STATUS_KEY, (statuses = {}) => {
+    delete statuses[tabId];
+    return statuses;
+  });
+}
+
+async function getTabStatuses() {
+  const items = await chrome.storage.session.get(TAB_STATUS_KEY);
+  return items[TAB_STATUS_KEY] || {};
+}
+
+// What the popup shows: the mode plus one entry per open X tab
+async function getAutomationStatus() {
+  const [state, statuses, tabs, runnerTabId] = await Promise.all([
+    getAutomationState(),
+    getTabStatuses(),
+    queryXTabs(),
+    getRunnerTabId(),
+  ]);
+
+  return {
+    ...state,
+    runnerTabId,
+    tabs: tabs.map((tab) => ({
+      tabId: tab.id,
+      title: tab.title || tab.url,
+      isRunner: tab.id === runnerTabId,
+      ...(statuses[tab.id] || {
+        state: "idle",
+        lastActionAt: 0,
+        error: "",
+        updatedAt: 0,
+      }),
+    })),
+  };
+}
+
+// Called on startup, when the schedule changes and by the "schedule" alarm
+// at every window boundary. A window turns automation on once when it
+// starts; stopped by hand or by a budget it stays off until the next one.
+async function syncAutomationSchedule() {
+  const settings = await loadSettings();
+  const { scheduleEnabled, scheduleWindows, scheduleTimezone } = settings;
+  const items = await chrome.storage.local.get(SCHEDULE_RUN_KEY);
+  const run = items[SCHEDULE_RUN_KEY] || null;
+  const now = Date.now();
+  const active = scheduleEnabled
+    ? getActiveScheduleWindow(scheduleWindows, scheduleTimezone, now)
+    : null;
+
+  // Switching the schedule off ends the record but leaves automation alone
+  if (run && (!active || active.start !== run.start)) {
+    await finishScheduledRun(run, scheduleEnabled);
+  }
+
+  if (active && (!run || run.start !== active.start)) {
+    await chrome.storage.local.set({
+      [SCHEDULE_RUN_KEY]: {
+        windowId: active.scheduleWindow.id,
+        start: active.start,
+        end: active.end,
+      },
+    });
+    await setAutomationMode("on");
+  }
+
+  const next = scheduleEnabled
+    ? getNextScheduleWindow(scheduleWindows, scheduleTimezone, now)
+    : null;
+  const boundaries = [active?.end, next?.start].filter(Boolean);
+  if (boundaries.length > 0) {
+    await scheduleAlarmAt("schedule", Math.min(...boundaries));
+  } else {
+    await cancelAlarm("schedule");
+  }
+}
+
+// Stop automation when the window is over and record what happened in it
+async function finishScheduledRun(run, stopAutomation) {
+  await chrome.storage.local.remove(SCHEDULE_RUN_KEY);
+
+  const state = await getAutomationState();
+  if (stopAutomation && state.mode !== "off") {
+    await setAutomationMode("off");
+  }
+
+  const entries = await queryHistory({
+    from: run.start,
+    to: Date.now(),
+    limit: Infinity,
+  });
+  const count = (type) => entries.filter((entry) => entry.type === type).length;
+  await addHistoryEntry({
+    type: "scheduled_window",
+    tweetText: `Scheduled window ${new Date(
+      run.start
+    ).toLocaleString()} - ${new Date(run.end).toLocaleString()}`,
+    reply: `${count("like")} likes, ${count("reply")} replies, ${count(
+      "reply_failed"
+    )} failed replies`,
+    error:
+      state.mode === "off" && state.reason
+        ? `Stopped early: ${state.reason}`
+        : "",
+  });
+}
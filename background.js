@@ -1,22 +1,135 @@
 // background.js - OPTIMIZED VERSION
 
-// Store active tab state and API cache
+importScripts(
+  "storage.js",
+  "providers.js",
+  "rate_limiter.js",
+  "api_keys.js",
+  "review_queue.js",
+  "history_store.js",
+  "budgets.js",
+  "schedule.js",
+  "rules.js",
+  "prompts.js",
+  "moderation.js",
+  "reply_cache.js",
+  "fallback.js",
+  "classifier.js",
+  "languages.js",
+  "settings.js",
+  "automation_controller.js",
+  "scheduler.js"
+);
+
+// Store active tab state
 let activeTabId = null;
 let isRunning = false;
-let apiCache = new Map(); // Cache API responses for similar tweets
-let rateLimitQueue = []; // Queue for API requests
 let isProcessingQueue = false;
 
+// The API queue lives in chrome.storage.session so a worker restart picks
+// up where it stopped instead of losing pending requests. While anything is
+// queued, the "apiQueue" alarm wakes the worker to carry on. The reply cache is
+// in reply_cache.js.
+const API_QUEUE_KEY = "apiQueue";
+const API_QUEUE_ALARM_MINUTES = 0.5;
+
+const DEFAULT_REQUEST_TIMEOUT_MS = 30000;
+
+// Injected into X tabs that were open before the extension loaded
+const CONTENT_SCRIPT_FILES = chrome.runtime.getManifest().content_scripts[0].js;
+
+// Tweets already engaged with, shared by every tab: statusId -> timestamp
+const PROCESSED_TWEETS_KEY = "processedTweetIds";
+const PROCESSED_TWEET_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const MAX_PROCESSED_TWEETS = 10000;
+let processedTweetsPromise = null;
+
 // Listen for messages from popup and content script
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   switch (message.type) {
-    case "settingsUpdated":
-      handleSettingsUpdate(message.settings);
-      break;
     case "groqApiRequest":
       // Handle async but respond immediately
       handleGroqApiRequestFast(message.data, sender.tab.id);
-      sendResponse({ status: "queued" }); // Immediate response
+      sendResponse({ status: "queued", requestId: message.data.requestId }); // Immediate response
+      break;
+    case "approveDraft":
+      postApprovedDraft(message.draftId, message.reply).then(sendResponse);
+      break;
+    case "editDraft":
+      updateDraft(message.draftId, { reply: message.reply })
+        .then(() => sendResponse({ status: "updated" }))
+        .catch((error) => sendResponse({ error: error.message }));
+      break;
+    case "discardDraft":
+      removeDraft(message.draftId)
+        .then(() => sendResponse({ status: "removed" }))
+        .catch((error) => sendResponse({ error: error.message }));
+      break;
+    case "regenerateDraft":
+      regenerateDraft(message.draftId);
+      sendResponse({ status: "queued" });
+      break;
+    case "claimTweet":
+      claimTweet(message.tweetId).then((claimed) => sendResponse({ claimed }));
+      break;
+    case "releaseTweet":
+      releaseTweet(message.tweetId);
+      sendResponse({ status: "released" });
+      break;
+    case "recordHistory":
+      // Every posted like/reply is recorded here, so this also counts budgets
+      if (["like", "reply"].includes(message.entry.type)) {
+        recordBudgetAction(message.entry.type).catch((error) =>
+          console.error("Failed to record budget action:", error)
+        );
+      }
+      if (message.entry.type === "reply") {
+        rememberPostedReply(message.entry.reply).catch((error) =>
+          console.error("Failed to remember posted reply:", error)
+        );
+      }
+      addHistoryEntry(message.entry)
+        .then(() => sendResponse({ status: "recorded" }))
+        .catch((error) => {
+          console.error("Failed to record history:", error);
+          sendResponse({ status: "failed" });
+        });
+      break;
+    case "setAutomation":
+      setAutomationMode(message.mode, message.reason)
+        .then((state) => sendResponse({ state }))
+        .catch((error) => sendResponse({ error: error.message }));
+      break;
+    case "getAutomationState":
+      getTabAutomationState(sender.tab?.id).then((state) =>
+        sendResponse({ state })
+      );
+      break;
+    case "setRunnerTab":
+      setRunnerTab(message.tabId).then(() => sendResponse({ status: "set" }));
+      break;
+    case "getAutomationStatus":
+      getAutomationStatus().then(sendResponse);
+      break;
+    case "tabStatus":
+      updateTabStatus(sender.tab.id, message.status).catch((error) =>
+        console.error("Failed to update tab status:", error)
+      );
+      sendResponse({ status: "recorded" });
+      break;
+    case "classifyTweet":
+      classifyTweetWithModel(message.text)
+        .then((categories) => sendResponse({ categories }))
+        .catch((error) => sendResponse({ error: error.message }));
+      break;
+    case "testApiKey":
+      // The popup tests what is in its fields, saved or not; an empty key
+      // field means the stored key
+      loadApiKey()
+        .then(({ key }) =>
+          testProviderKey(message.apiKey || key, message.settings)
+        )
+        .then(sendResponse);
       break;
     case "ping":
       sendResponse({ status: "alive" });
@@ -25,252 +138,576 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   return true; // Keep message channel open for async responses
 });
 
-// FASTER settings update - no unnecessary delays
-async function handleSettingsUpdate(settings) {
-  console.log("Handling settings update:", settings);
-
-  // Store settings
-  await chrome.storage.local.set({ currentSettings: settings });
-
-  try {
-    const tabs = await chrome.tabs.query({
-      url: ["*://*.twitter.com/*", "*://*.x.com/*"],
-    });
+// Tabs opened before the extension was (re)loaded have no content scripts
+async function ensureContentScripts() {
+  const tabs = await chrome.tabs.query({
+    url: ["*://*.twitter.com/*", "*://*.x.com/*"],
+  });
 
-    // Process tabs in parallel instead of sequentially
-    const promises = tabs.map(async (tab) => {
+  await Promise.allSettled(
+    tabs.map(async (tab) => {
       try {
-        await chrome.tabs.sendMessage(tab.id, {
-          type: "settingsUpdated",
-          settings: settings,
-        });
+        await chrome.tabs.sendMessage(tab.id, { type: "ping" });
       } catch (error) {
-        // Inject and retry without waiting
-        try {
-          await chrome.scripting.executeScript({
+        await chrome.scripting
+          .executeScript({
             target: { tabId: tab.id },
-            files: ["content_script.js"],
-          });
-
-          // Don't wait - send message immediately
-          setTimeout(async () => {
-            try {
-              await chrome.tabs.sendMessage(tab.id, {
-                type: "settingsUpdated",
-                settings: settings,
-              });
-            } catch (e) {
-              console.log(`Tab ${tab.id} might be closed`);
-            }
-          }, 500); // Reduced wait time
-        } catch (injectionError) {
-          console.log(`Tab ${tab.id} injection failed - tab might be closed`);
-        }
+            files: CONTENT_SCRIPT_FILES,
+          })
+          .catch(() =>
+            console.log(`Tab ${tab.id} injection failed - tab might be closed`)
+          );
       }
-    });
+    })
+  );
+}
 
-    // Don't wait for all promises to resolve
-    Promise.allSettled(promises);
-  } catch (error) {
-    console.error("Error handling settings update:", error);
+// Loaded once per worker start, then kept in memory
+function loadProcessedTweets() {
+  if (!processedTweetsPromise) {
+    processedTweetsPromise = chrome.storage.local
+      .get(PROCESSED_TWEETS_KEY)
+      .then((items) => items[PROCESSED_TWEETS_KEY] || {});
   }
+  return processedTweetsPromise;
+}
+
+// Check-and-set runs without an await in between, so it is atomic
+async function claimTweet(tweetId) {
+  const processed = await loadProcessedTweets();
+  if (processed[tweetId]) return false;
+
+  processed[tweetId] = Date.now();
+  saveProcessedTweets(processed);
+  return true;
+}
+
+async function releaseTweet(tweetId) {
+  const processed = await loadProcessedTweets();
+  delete processed[tweetId];
+  saveProcessedTweets(processed);
+}
+
+// Drop expired IDs and keep only the newest ones before writing
+function saveProcessedTweets(processed) {
+  const cutoff = Date.now() - PROCESSED_TWEET_TTL_MS;
+  const entries = Object.entries(processed)
+    .filter(([, timestamp]) => timestamp > cutoff)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_PROCESSED_TWEETS);
+
+  for (const id of Object.keys(processed)) delete processed[id];
+  Object.assign(processed, Object.fromEntries(entries));
+
+  chrome.storage.local
+    .set({ [PROCESSED_TWEETS_KEY]: processed })
+    .catch((error) => console.error("Failed to save processed tweets:", error));
 }
 
 // MUCH FASTER API handling with caching and queue
 async function handleGroqApiRequestFast(data, tabId) {
   console.log("Received fast API request");
 
-  // Check cache first for instant responses
-  const cacheKey = data.prompt.toLowerCase().substring(0, 50);
-  if (apiCache.has(cacheKey)) {
-    console.log("Using cached response");
-    chrome.tabs.sendMessage(tabId, {
-      type: "groqApiResponse",
-      data: apiCache.get(cacheKey),
-    });
-    return;
-  }
+  // Nobody awaits this, so a failure has to reach the tab as an error
+  // instead of leaving it to time out
+  try {
+    // Drafts and dry runs aren't posted yet, everything else must fit the
+    // reply budget
+    const settings = await loadSettings();
+    if (!data.draft && !data.draftId && !data.dryRun) {
+      const reason = await getBudgetStopReason("reply", settings);
+      if (reason) {
+        sendReplyError(tabId, data, reason);
+        return;
+      }
+    }
+
+    // Check cache first for instant responses (regenerate wants a fresh one)
+    const cached = data.draftId
+      ? null
+      : await getCachedReply(
+          await getReplyCacheKey(data, settings),
+          data.tweetUrl,
+          settings
+        );
+    if (cached) {
+      console.log("Using cached response");
+      deliverReply(tabId, data, cached.reply, cached.model).catch((error) =>
+        console.error("Failed to deliver reply:", error)
+      );
+      return;
+    }
+
+    // Add to queue for processing, with the deadline the tab asked for
+    const timeoutMs = data.timeoutMs || DEFAULT_REQUEST_TIMEOUT_MS;
+    await updateApiQueue((queue) => [
+      ...queue,
+      {
+        id: crypto.randomUUID(),
+        data,
+        tabId,
+        deadline: Date.now() + timeoutMs,
+      },
+    ]);
 
-  // Add to queue for processing
-  rateLimitQueue.push({ data, tabId, timestamp: Date.now() });
+    await ensurePeriodicAlarm("apiQueue", API_QUEUE_ALARM_MINUTES);
 
-  // Process queue if not already processing
-  if (!isProcessingQueue) {
+    // Process queue if not already processing
     processApiQueue();
+  } catch (error) {
+    console.error("Failed to queue API request:", error);
+    sendReplyError(tabId, data, error.message);
   }
 }
 
-// Process API requests in background queue
+async function getApiQueue() {
+  const items = await chrome.storage.session.get(API_QUEUE_KEY);
+  return items[API_QUEUE_KEY] || [];
+}
+
+function updateApiQueue(update) {
+  return serializedStorageUpdate("session", API_QUEUE_KEY, (queue = []) =>
+    update(queue)
+  );
+}
+
+// Process API requests in background queue. A request leaves the queue only
+// once it was handled, so one cut short by a worker restart runs again.
 async function processApiQueue() {
-  if (isProcessingQueue || rateLimitQueue.length === 0) return;
+  if (isProcessingQueue) return;
 
   isProcessingQueue = true;
 
-  while (rateLimitQueue.length > 0) {
-    const request = rateLimitQueue.shift();
+  try {
+    for (;;) {
+      const queue = await getApiQueue();
+      if (queue.length === 0) {
+        // Drained, so there is nothing to wake the worker for. A request
+        // queued while the alarm was cleared keeps the loop going.
+        await cancelAlarm("apiQueue");
+        if ((await getApiQueue()).length === 0) break;
+        await ensurePeriodicAlarm("apiQueue", API_QUEUE_ALARM_MINUTES);
+        continue;
+      }
+      const request = queue[0];
+
+      // Tell the tab about expired requests instead of dropping them silently
+      if (Date.now() >= request.deadline) {
+        console.log("Skipping expired request", request.data.requestId);
+        sendReplyError(
+          request.tabId,
+          request.data,
+          "Request expired before it reached the API"
+        );
+      } else {
+        await processApiRequest(request);
+      }
 
-    // Skip old requests (older than 30 seconds)
-    if (Date.now() - request.timestamp > 30000) {
-      console.log("Skipping old request");
-      continue;
+      await updateApiQueue((queue) =>
+        queue.filter((item) => item.id !== request.id)
+      );
     }
-
-    await processApiRequest(request);
-
-    // Small delay to respect rate limits
-    await new Promise((resolve) => setTimeout(resolve, 100));
+  } catch (error) {
+    // The queue stays stored; the next request or alarm picks it up again
+    console.error("Failed to process API queue:", error);
+  } finally {
+    isProcessingQueue = false;
   }
-
-  isProcessingQueue = false;
 }
 
 // Optimized API request processing
-async function processApiRequest({ data, tabId }) {
-  // Shorter, faster prompt
-  const quickPrompt = `Reply to: "${data.prompt}" sounds like a casual conversation, with human-like imperfections. 
-    Use short sentences, include some grammatical mistakes, and avoid over-polishing the text. Keep it punchy, natural, and easy to read. 
-    Instead, turn it into a short, engaging post that sounds human — with personality, storytelling, and light informality.
-
-Follow this style:
-
-Start with a bold or emotional hook
+async function processApiRequest({ data, tabId, deadline }) {
+  try {
+    const settings = await loadSettings();
+
+    // The active persona template decides prompt, length and banned words
+    const template = getActivePromptTemplate(settings);
+    const prompt = renderPrompt(template, {
+      tweet: data.prompt,
+      author:
+        formatAuthor(data.context?.author) ||
+        (data.author ? `@${data.author}` : ""),
+      thread: formatTweetContext(
+        data.context,
+        template.contextBudget || DEFAULT_CONTEXT_BUDGET
+      ),
+      language: getLanguageName(data.context?.lang),
+    });
 
-Add personal perspective or a lesson learned
+    // A canned reply won't fix a missing key, so report it instead
+    const { provider } = parseModelChoice(settings);
+    const { key, locked } = await loadApiKey();
+    if (PROVIDERS[provider].requiresKey && !key) {
+      sendReplyError(
+        tabId,
+        data,
+        `${PROVIDERS[provider].label} API key is ${
+          locked ? "locked - unlock it in the popup" : "missing"
+        }`
+      );
+      return;
+    }
 
-Use first-person tone (“I”, “we”, “you”)
+    // Generate, clean up and moderate. A rejected reply is logged and,
+    // depending on moderationAction, regenerated or the tweet is skipped.
+    const { moderationAction } = getModerationConfig(settings);
+    const bannedWords = parseBannedWords(template);
+    let cleanResponse = null;
+    let model = "";
+    let rejection = "";
+
+    for (let attempt = 1; attempt <= MAX_MODERATION_ATTEMPTS; attempt++) {
+      // Provider adapter picks endpoint, payload and parsing from groqModel
+      // Waits for the rate limit and retries 429/5xx until the deadline
+      const result = await generateWithProvider(
+        prompt,
+        settings,
+        5000,
+        deadline
+      );
+      model = `${result.provider}:${result.model}`;
+      const candidate = cleanReplyText(result.text, template);
+
+      // A reply we already posted elsewhere reads like spam, even reworded
+      const duplicate = await findNearDuplicateReply(candidate, settings);
+      const verdict = duplicate
+        ? {
+            approved: false,
+            reason: `too close to an earlier reply "${duplicate}"`,
+            score: null,
+          }
+        : await moderateReply(
+            candidate,
+            { tweetText: data.prompt, bannedWords },
+            settings,
+            Math.min(5000, deadline - Date.now())
+          );
+      if (verdict.approved) {
+        cleanResponse = candidate;
+        break;
+      }
 
-drops the “marketing” tone
+      rejection = verdict.reason;
+      console.log(`Reply rejected by moderation (${attempt}):`, rejection);
+      logModerationRejection(data, candidate, model, rejection);
 
-sounds casual and personal
+      if (moderationAction !== "regenerate" || deadline - Date.now() < 1000) {
+        break;
+      }
+    }
 
-uses short sentence mix
+    if (!cleanResponse) {
+      sendReplyError(tabId, data, `Reply rejected by moderation: ${rejection}`);
+      return;
+    }
 
-feels like a dev just sharing something they found cool
+    // Cache the response; a reply that can't be cached still goes out
+    await cacheReply(
+      await getReplyCacheKey(data, settings),
+      { reply: cleanResponse, model, tweetUrl: data.tweetUrl },
+      settings
+    ).catch((error) => console.error("Failed to cache reply:", error));
+
+    // Send response
+    deliverReply(tabId, data, cleanResponse, model).catch((error) =>
+      console.error("Failed to deliver reply:", error)
+    );
+  } catch (error) {
+    // Still rate limited after waiting and retrying: the tab shows that and
+    // backs off, a canned reply would only hide it
+    if (error.status === 429) {
+      sendReplyError(tabId, data, error.message, error.retryAfterMs);
+      return;
+    }
+    console.log("API error, applying the fallback policy:", error.message);
+    applyFallbackPolicy(tabId, data, error.message).catch((fallbackError) => {
+      // The tab still hears about the original failure
+      console.error("Failed to apply the fallback policy:", fallbackError);
+      sendReplyError(tabId, data, error.message);
+    });
+  }
+}
 
-use phrases like:
+// Keeps accents, other scripts and emoji. Drops quotes, line breaks and
+// invisible control/format characters, except the zero-width joiner and
+// non-joiner that emoji sequences and scripts like Persian rely on.
+function cleanReplyText(text, template) {
+  let clean = text
+    .replace(/["\u201c\u201d\u201e\u00ab\u00bb]/g, "")
+    .replace(/\s*\n+\s*/g, " ")
+    .replace(/(?![\u200c\u200d])[\p{Cc}\p{Cf}]/gu, "")
+    .replace(/\s{2,}/g, " ")
+    .trim();
+
+  // Count and cut whole graphemes so emoji and combining marks stay intact
+  const maxLength = template.maxLength || 150;
+  const graphemes = Array.from(
+    new Intl.Segmenter().segment(clean),
+    (part) => part.segment
+  );
+  if (graphemes.length > maxLength) {
+    clean =
+      graphemes
+        .slice(0, maxLength - 1)
+        .join("")
+        .trimEnd() + "\u2026";
+  }
+  return clean;
+}
 
-“from what I saw…”
+// Rejected drafts show up in the history dashboard with their reason
+function logModerationRejection(data, reply, model, reason) {
+  addHistoryEntry({
+    type: "moderation_rejected",
+    tweetUrl: data.tweetUrl || "",
+    author: data.author || "",
+    tweetText: data.prompt,
+    reply,
+    model,
+    error: reason,
+  }).catch((error) => console.error("Failed to log rejection:", error));
+}
 
-“seems like…”
+// The reply a dry run would have posted, or why there wouldn't be one
+function logDryRunReply(data, reply, model, error) {
+  return addHistoryEntry({
+    type: "dry_run_reply",
+    tweetUrl: data.tweetUrl || "",
+    author: data.author || "",
+    tweetText: data.prompt,
+    reply,
+    model,
+    error,
+  }).catch((error) => console.error("Failed to log dry run reply:", error));
+}
 
-“what caught my attention was…”
+// Optional LLM opinion on a tweet's topic, on top of the keyword model
+async function classifyTweetWithModel(text) {
+  const result = await generateWithProvider(
+    buildClassifierPrompt(text),
+    await loadSettings()
+  );
+  return parseClassifierResponse(result.text);
+}
 
-“one weird thing I noticed…”
+// The provider failed for good; fallbackPolicy decides what becomes of the
+// reply and the history records which way it went. A regenerated draft
+// already has a reviewer, so it only gets the error.
+async function applyFallbackPolicy(tabId, data, error) {
+  if (data.draftId) {
+    sendReplyError(tabId, data, error);
+    return;
+  }
 
-sound more casual, less “excited”. Keep it short like 8-11 words. don't over-polish.`;
+  const settings = await loadSettings();
+  let policy = settings.fallbackPolicy;
 
-  try {
-    const settings = await chrome.storage.sync.get(["groqApiKey", "groqModel"]);
+  // Nothing is posted in a dry run, so no fallback reply gets used up
+  if (data.dryRun) {
+    await logDryRunReply(data, "", "", `${error} (fallback: ${policy})`);
+    return;
+  }
 
-    if (!settings.groqApiKey) {
-      sendFallbackResponse(tabId);
-      return;
+  let reply = "";
+  if (policy === "list") {
+    reply = await takeFallbackReply(settings);
+    if (!reply) {
+      policy = "skip";
+      error = `${error} - no fallback reply left for today`;
     }
+  }
 
-    // Faster API call with reduced parameters
-    const response = await Promise.race([
-      fetch(
-        `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent?key=${settings.groqApiKey}`,
-        {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-          },
-          body: JSON.stringify({
-            contents: [
-              {
-                parts: [
-                  {
-                    text: quickPrompt,
-                  },
-                ],
-              },
-            ],
-          }),
-        }
-      ),
-      // 5 second timeout
-      new Promise((_, reject) =>
-        setTimeout(() => reject(new Error("API timeout")), 5000)
-      ),
-    ]);
-
-    if (!response.ok) {
-      throw new Error(`API error: ${response.status}`);
+  addHistoryEntry({
+    type: "fallback",
+    fallback: policy,
+    tweetUrl: data.tweetUrl || "",
+    author: data.author || "",
+    tweetText: data.prompt,
+    reply,
+    model: "",
+    error,
+  }).catch((error) => console.error("Failed to log fallback:", error));
+
+  switch (policy) {
+    case "list":
+      await deliverReply(tabId, data, reply, "fallback");
+      break;
+    case "retry": {
+      // The tab pauses replies for a while, then this tweet comes round again
+      const tweetId = data.tweetUrl?.match(/\/status\/(\d+)/)?.[1];
+      if (tweetId) await releaseTweet(tweetId);
+      sendReplyError(tabId, data, error, FALLBACK_RETRY_DELAY_MS);
+      break;
     }
+    case "review":
+      await addDraft({
+        tabId,
+        tweetUrl: data.tweetUrl || "",
+        tweetText: data.prompt,
+        author: data.author || "",
+        context: data.context || null,
+        reply: "",
+        model: "",
+        error: `Reply generation failed: ${error}`,
+      });
+      sendReplyError(tabId, data, error);
+      break;
+    default:
+      sendReplyError(tabId, data, error);
+  }
+}
 
-    const result = await response.json();
+// Draft mode parks the reply in the review queue instead of the composer,
+// a dry run only records it
+async function deliverReply(tabId, data, reply, model) {
+  if (data.dryRun) {
+    await logDryRunReply(data, reply, model, "");
+    return;
+  }
 
-    if (result.choices?.[0]?.message?.content) {
-      let cleanResponse = result.choices[0].message.content
-        .replace(/[^\x00-\x7F]/g, "")
-        .replace(/"/g, "")
-        .replace(/\n/g, " ")
-        .trim();
+  if (data.draftId) {
+    await updateDraft(data.draftId, {
+      reply,
+      model,
+      status: "pending",
+      error: "",
+    });
+    return;
+  }
 
-      if (cleanResponse.length > 150) {
-        cleanResponse = cleanResponse.substring(0, 147) + "...";
-      }
+  if (data.draft) {
+    await addDraft({
+      tabId,
+      tweetUrl: data.tweetUrl || "",
+      tweetText: data.prompt,
+      author: data.author || "",
+      context: data.context || null,
+      reply,
+      model,
+    });
+    return;
+  }
 
-      if (!cleanResponse || cleanResponse.length < 3) {
-        cleanResponse = getRandomFallback();
-      }
+  chrome.tabs
+    .sendMessage(tabId, {
+      type: "groqApiResponse",
+      requestId: data.requestId,
+      data: reply,
+      model,
+    })
+    .catch((e) => console.log("Tab closed before response"));
+}
 
-      // Cache the response
-      const cacheKey = data.prompt.toLowerCase().substring(0, 50);
-      apiCache.set(cacheKey, cleanResponse);
+// Explicit failure so the tab can close the composer for that request.
+// retryAfterMs tells the tab how long the provider wants it to wait.
+async function sendReplyError(tabId, data, error, retryAfterMs = 0) {
+  // Callers don't wait for this, so a failed write is only logged
+  if (data.dryRun) {
+    await logDryRunReply(data, "", "", error).catch((e) =>
+      console.error("Failed to log dry-run error:", e)
+    );
+    return;
+  }
 
-      // Clean cache if it gets too big
-      if (apiCache.size > 100) {
-        const firstKey = apiCache.keys().next().value;
-        apiCache.delete(firstKey);
-      }
+  if (data.draftId) {
+    await updateDraft(data.draftId, { status: "pending", error }).catch((e) =>
+      console.error("Failed to record draft error:", e)
+    );
+    return;
+  }
 
-      // Send response
-      chrome.tabs
-        .sendMessage(tabId, {
-          type: "groqApiResponse",
-          data: cleanResponse,
-        })
-        .catch((e) => console.log("Tab closed before response"));
-    } else {
-      throw new Error("Invalid API response");
-    }
-  } catch (error) {
-    console.log("API error, using fallback:", error.message);
-    sendFallbackResponse(tabId);
+  if (data.draft) {
+    console.log("Draft request failed:", error);
+    return;
   }
-}
 
-// Fast fallback response
-function sendFallbackResponse(tabId) {
-  const response = getRandomFallback();
   chrome.tabs
     .sendMessage(tabId, {
-      type: "groqApiResponse",
-      data: response,
+      type: "groqApiError",
+      requestId: data.requestId,
+      error,
+      retryAfterMs,
     })
-    .catch((e) => console.log("Tab closed"));
+    .catch((e) => console.log("Tab closed before error"));
+}
+
+// Ask the model again for a draft the reviewer didn't like
+async function regenerateDraft(draftId) {
+  const draft = await getDraft(draftId);
+  if (!draft) return;
+
+  await updateDraft(draftId, { status: "regenerating", error: "" });
+  handleGroqApiRequestFast(
+    {
+      prompt: draft.tweetText,
+      author: draft.author,
+      context: draft.context,
+      tweetUrl: draft.tweetUrl,
+      draftId,
+    },
+    draft.tabId
+  );
 }
 
-function getRandomFallback() {
-  const responses = [
-    "So true! 💯",
-    "This! 👆",
-    "Exactly!",
-    "Facts 🔥",
-    "Love this take",
-    "Well said!",
-    "This hits different",
-    "Big mood",
-    "Couldn't agree more",
-    "This is it!",
-  ];
-  return responses[Math.floor(Math.random() * responses.length)];
+// Only approved drafts ever reach the composer. The review page sends its
+// copy of the reply along, edited or not.
+async function postApprovedDraft(draftId, reply) {
+  if (reply !== undefined) await updateDraft(draftId, { reply });
+  const current = await getDraft(draftId);
+  if (!current) return { status: "missing" };
+  // Drafts queued by the fallback policy start out without a reply
+  if (!current.reply) {
+    await updateDraft(draftId, { error: "Write a reply or regenerate first" });
+    return { status: "failed" };
+  }
+  // An approved draft is posted like any other reply, within the budget
+  const reason = await getBudgetStopReason("reply", await loadSettings());
+  if (reason) {
+    await updateDraft(draftId, { error: reason });
+    return { status: "failed" };
+  }
+  const draft = await updateDraft(draftId, { status: "approved", error: "" });
+
+  // Prefer the tab the draft came from, then any other open X tab
+  const tabs = await chrome.tabs.query({
+    url: ["*://*.twitter.com/*", "*://*.x.com/*"],
+  });
+  const tabIds = tabs.map((tab) => tab.id);
+  tabIds.sort((a, b) => (a === draft.tabId ? -1 : b === draft.tabId ? 1 : 0));
+
+  for (const tabId of tabIds) {
+    try {
+      const result = await chrome.tabs.sendMessage(tabId, {
+        type: "postDraft",
+        draft,
+      });
+      if (result?.posted) {
+        await removeDraft(draftId);
+        return { status: "posted" };
+      }
+    } catch (error) {
+      console.log(`Tab ${tabId} could not post draft`);
+    }
+  }
+
+  await updateDraft(draftId, {
+    status: "pending",
+    error: "Could not post - open the tweet in an X tab and approve again",
+  });
+  return { status: "failed" };
 }
 
 // FASTER tab handling - no unnecessary waits
 chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
+  // A runner that navigated away from X can't automate anymore
+  if (
+    changeInfo.url &&
+    !changeInfo.url.includes("twitter.com") &&
+    !changeInfo.url.includes("x.com")
+  ) {
+    handleRunnerTabGone(tabId);
+  }
+
   if (
     changeInfo.status === "complete" &&
     (tab.url?.includes("twitter.com") || tab.url?.includes("x.com"))
@@ -281,23 +718,11 @@ chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
         await chrome.tabs.sendMessage(tabId, { type: "ping" });
       } catch (error) {
         try {
+          // The injected scripts load their own settings
           await chrome.scripting.executeScript({
             target: { tabId: tabId },
-            files: ["content_script.js"],
+            files: CONTENT_SCRIPT_FILES,
           });
-
-          // Send settings without waiting
-          setTimeout(async () => {
-            const settings = await chrome.storage.local.get("currentSettings");
-            if (settings.currentSettings) {
-              chrome.tabs
-                .sendMessage(tabId, {
-                  type: "settingsUpdated",
-                  settings: settings.currentSettings,
-                })
-                .catch(() => {});
-            }
-          }, 300);
         } catch (e) {
           console.log("Injection failed - tab closed or restricted");
         }
@@ -306,25 +731,43 @@ chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
   }
 });
 
-// Keep extension alive in background
-chrome.runtime.onStartup.addListener(() => {
-  console.log("Extension keeping alive");
-  keepAlive();
+chrome.runtime.onInstalled.addListener(() => {
+  console.log("Extension installed");
+
+  // Settings from older versions, the API key they synced, the copy the
+  // background used to keep and the old keep-alive heartbeats. The key
+  // moves once the settings are written back, or they would bring it back.
+  migrateStoredSettings()
+    .then(migrateApiKey)
+    .catch((error) => console.error("Settings migration failed:", error));
+  chrome.storage.local.remove([
+    "currentSettings",
+    "heartbeat",
+    "scriptAlive",
+    "tabUrl",
+  ]);
 });
 
-chrome.runtime.onInstalled.addListener(() => {
-  console.log("Extension installed - starting background mode");
-  keepAlive();
+// Another browser still on an older version can sync a key back
+chrome.runtime.onStartup.addListener(() => {
+  migrateApiKey().catch((error) =>
+    console.error("API key migration failed:", error)
+  );
 });
 
-// Keep service worker alive
-function keepAlive() {
-  setInterval(() => {
-    chrome.storage.local.get("heartbeat").then(() => {
-      chrome.storage.local.set({ heartbeat: Date.now() });
-    });
-  }, 25000); // Every 25 seconds to prevent service worker sleep
-}
+// The worker may be stopped at any time. Whatever is still queued is picked
+// up when it starts again, and the alarm set while requests are waiting
+// makes sure it does start again.
+registerAlarmHandler("apiQueue", processApiQueue);
+processApiQueue();
+
+// Scheduled windows: the alarm fires at every window boundary and is
+// recomputed whenever the schedule changes
+registerAlarmHandler("schedule", syncAutomationSchedule);
+onSettingsChanged((settings, keys) => {
+  if (keys.some((key) => key in SCHEDULE_DEFAULTS)) syncAutomationSchedule();
+});
+syncAutomationSchedule();
 
 // Track active tab
 chrome.tabs.onActivated.addListener((activeInfo) => {
@@ -336,7 +779,8 @@ chrome.tabs.onRemoved.addListener((tabId) => {
   if (tabId === activeTabId) {
     activeTabId = null;
   }
+  removeTabStatus(tabId).catch((error) =>
+    console.error("Failed to remove tab status:", error)
+  );
+  handleRunnerTabGone(tabId);
 });
-
-// Initialize keep alive
-keepAlive();
@@ -0,0 +1,107 @@
+// budgets.js - hourly/daily action limits and a max session length
+//
+// Shared by content_script.js, background.js and the popup. Action timestamps
+// live in chrome.storage.local so a reload doesn't reset the counts.
+// A limit of 0 means "no limit".
+
+const BUDGET_DEFAULTS = {
+  maxLikesPerHour: 30,
+  maxLikesPerDay: 200,
+  maxRepliesPerHour: 10,
+  maxRepliesPerDay: 50,
+  maxSessionMinutes: 120,
+};
+
+const ACTION_LOG_KEY = "actionLog";
+const SESSION_STARTED_KEY = "sessionStartedAt";
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+async function getActionLog() {
+  const items = await chrome.storage.local.get(ACTION_LOG_KEY);
+  return items[ACTION_LOG_KEY] || { like: [], reply: [] };
+}
+
+// Only background.js calls this
+function recordBudgetAction(type) {
+  return serializedStorageUpdate(
+    "local",
+    ACTION_LOG_KEY,
+    (log = { like: [], reply: [] }) => {
+      const cutoff = Date.now() - DAY_MS;
+      log[type] = (log[type] || []).filter((timestamp) => timestamp > cutoff);
+      log[type].push(Date.now());
+      return log;
+    }
+  );
+}
+
+function getBudgetLimits(settings) {
+  const limits = { ...BUDGET_DEFAULTS };
+  for (const key of Object.keys(BUDGET_DEFAULTS)) {
+    const value = parseInt(settings?.[key], 10);
+    if (!isNaN(value) && value >= 0) limits[key] = value;
+  }
+  return limits;
+}
+
+// How many likes and replies happened in the last hour and day
+async function getBudgetUsage() {
+  const log = await getActionLog();
+  const now = Date.now();
+  const count = (type, windowMs) =>
+    (log[type] || []).filter((timestamp) => timestamp > now - windowMs).length;
+
+  return {
+    like: { hour: count("like", HOUR_MS), day: count("like", DAY_MS) },
+    reply: { hour: count("reply", HOUR_MS), day: count("reply", DAY_MS) },
+  };
+}
+
+// Why the session has run too long, or null
+async function getSessionStopReason(settings) {
+  const limits = getBudgetLimits(settings);
+  const items = await chrome.storage.local.get(SESSION_STARTED_KEY);
+  const startedAt = items[SESSION_STARTED_KEY];
+  if (
+    limits.maxSessionMinutes &&
+    startedAt &&
+    Date.now() - startedAt >= limits.maxSessionMinutes * 60 * 1000
+  ) {
+    return `Session limit reached (${limits.maxSessionMinutes} min)`;
+  }
+  return null;
+}
+
+// Why an action of this type ("like" or "reply") isn't allowed, or null
+async function getBudgetStopReason(type, settings) {
+  const sessionReason = await getSessionStopReason(settings);
+  if (sessionReason) return sessionReason;
+
+  const limits = getBudgetLimits(settings);
+  const usage = (await getBudgetUsage())[type];
+  const hourLimit =
+    type === "like" ? limits.maxLikesPerHour : limits.maxRepliesPerHour;
+  const dayLimit =
+    type === "like" ? limits.maxLikesPerDay : limits.maxRepliesPerDay;
+
+  if (hourLimit && usage.hour >= hourLimit) {
+    return `Hourly ${type} limit reached (${hourLimit})`;
+  }
+  if (dayLimit && usage.day >= dayLimit) {
+    return `Daily ${type} limit reached (${dayLimit})`;
+  }
+  return null;
+}
+
+// Session clock starts when automation is switched on, survives reloads
+async function startBudgetSession() {
+  const items = await chrome.storage.local.get(SESSION_STARTED_KEY);
+  if (!items[SESSION_STARTED_KEY]) {
+    await chrome.storage.local.set({ [SESSION_STARTED_KEY]: Date.now() });
+  }
+}
+
+async function endBudgetSession() {
+  await chrome.storage.local.remove(SESSION_STARTED_KEY);
+}
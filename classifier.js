@@ -0,0 +1,132 @@
+// classifier.js - tags tweets with sensitive topics and sentiment
+//
+// The keyword model runs in content_script.js for every candidate tweet.
+// background.js uses the prompt helpers for the optional LLM check, and the
+// popup builds its category checkboxes from TOPIC_CATEGORIES.
+
+const TOPIC_CATEGORIES = {
+  tragedy: {
+    label: "Tragedy & disasters",
+    keywords: [
+      /\b(?:killed|dead|death toll|died|rip|rest in peace|condolences)\b/i,
+      /\b(?:shooting|massacre|terror(?:ist|ism)? attack|bombing|hostages?)\b/i,
+      /\b(?:earthquake|hurricane|wildfire|tsunami|flooding|plane crash)\b/i,
+      /\b(?:tragedy|tragic|victims?|funeral|mourning|passed away)\b/i,
+    ],
+  },
+  politics: {
+    label: "Politics",
+    keywords: [
+      /\b(?:election|elections|ballot|vote for|voting)\b/i,
+      /\b(?:democrats?|republicans?|gop|liberals?|conservatives?|maga)\b/i,
+      /\b(?:senate|congress|parliament|president|prime minister|governor)\b/i,
+      /\b(?:abortion|immigration|gun control|impeach\w*|protest(?:s|ers)?)\b/i,
+      /\b(?:war|invasion|ceasefire|genocide|sanctions)\b/i,
+    ],
+  },
+  medical: {
+    label: "Medical & health",
+    keywords: [
+      /\b(?:cancer|chemo(?:therapy)?|diagnosed|diagnosis|tumou?r)\b/i,
+      /\b(?:surgery|hospital(?:ized)?|icu|er visit|chronic (?:pain|illness))\b/i,
+      /\b(?:covid|vaccines?|pandemic|disease|disorder|medication)\b/i,
+      /\b(?:pregnan(?:t|cy)|miscarriage|infertility)\b/i,
+    ],
+  },
+  distress: {
+    label: "Personal distress",
+    keywords: [
+      /\b(?:suicid\w*|self[- ]harm|kill myself|want to die|end it all)\b/i,
+      /\b(?:depressed|depression|anxiety|panic attacks?|mental health)\b/i,
+      /\b(?:laid off|lost my job|got fired|divorce|breakup|grieving)\b/i,
+      /\b(?:can'?t cope|heartbroken|so lonely|worst day of my life)\b/i,
+    ],
+  },
+  sensitive_media: {
+    label: "Sensitive media",
+    keywords: [],
+  },
+};
+
+const CLASSIFIER_DEFAULTS = {
+  skipReplyCategories: [
+    "tragedy",
+    "politics",
+    "medical",
+    "distress",
+    "sensitive_media",
+  ],
+  skipLikeCategories: ["tragedy", "distress", "sensitive_media"],
+  classifierModelCheck: false,
+};
+
+const POSITIVE_WORDS =
+  /\b(?:love|great|awesome|amazing|excited|happy|congrats|congratulations|proud|thanks|thank you|win|shipped|launched|beautiful|fun)\b/gi;
+const NEGATIVE_WORDS =
+  /\b(?:hate|awful|terrible|horrible|sad|angry|worst|broken|fail(?:ed|ing)?|sucks|disappointed|scared|tired|pain|lost|cry(?:ing)?)\b/gi;
+
+function getClassifierConfig(settings) {
+  const config = { ...CLASSIFIER_DEFAULTS };
+  for (const key of Object.keys(CLASSIFIER_DEFAULTS)) {
+    if (settings?.[key] !== undefined) config[key] = settings[key];
+  }
+  return config;
+}
+
+// "positive" | "negative" | "neutral" from a small word list
+function detectSentiment(text) {
+  const positive = (text.match(POSITIVE_WORDS) || []).length;
+  const negative = (text.match(NEGATIVE_WORDS) || []).length;
+  if (positive > negative) return "positive";
+  if (negative > positive) return "negative";
+  return "neutral";
+}
+
+// Keyword model: every category with at least one matching pattern
+function detectTopicCategories(text) {
+  return Object.keys(TOPIC_CATEGORIES).filter((category) =>
+    TOPIC_CATEGORIES[category].keywords.some((pattern) => pattern.test(text))
+  );
+}
+
+// tags: { categories, sensitiveMedia, sentiment, modelError }
+// Returns the first category from the skip list the tweet falls into, or null
+function findSkippedCategory(tags, skipCategories) {
+  return (
+    tags.categories.find((category) => skipCategories.includes(category)) ||
+    null
+  );
+}
+
+// Topic skips override an allowed rule decision, never the other way round
+function applyTopicSkip(decision, tags, skipCategories) {
+  if (!decision.allowed) return decision;
+
+  const category = findSkippedCategory(tags, skipCategories);
+  if (!category) return decision;
+  return {
+    allowed: false,
+    rule: `sensitive topic: ${TOPIC_CATEGORIES[category].label}`,
+  };
+}
+
+// Prompt for the optional LLM check; the model answers with category ids
+function buildClassifierPrompt(text) {
+  const categories = Object.keys(TOPIC_CATEGORIES)
+    .filter((category) => category !== "sensitive_media")
+    .map((category) => `${category} (${TOPIC_CATEGORIES[category].label})`)
+    .join(", ");
+
+  return `Classify this tweet. Categories: ${categories}.
+
+Tweet: "${text}"
+
+Answer with the matching category ids separated by commas, or "none".`;
+}
+
+function parseClassifierResponse(text) {
+  const answer = text.toLowerCase();
+  return Object.keys(TOPIC_CATEGORIES).filter(
+    (category) => category !== "sensitive_media" && answer.includes(category)
+  );
+}
@@ -0,0 +1,171 @@
+// composer.js - drives X's reply dialog for content_script.js
+//
+// Finds the dialog that belongs to a specific tweet, puts text into the
+// Draft.js editor the way a paste would, keeps it under the character limit
+// and only reports success once X has actually accepted the post.
+
+const TWEET_CHAR_LIMIT = 280;
+const COMPOSER_OPEN_TIMEOUT_MS = 5000;
+const COMPOSER_POST_TIMEOUT_MS = 8000;
+
+// Poll until check() returns something truthy, or give up with null
+async function waitFor(check, timeoutMs, intervalMs = 100) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const result = check();
+    if (result) return result;
+    await new Promise((resolve) => setTimeout(resolve, intervalMs));
+  }
+  return check() || null;
+}
+
+// X weighs most CJK characters and emoji as two, everything else as one
+function getCharWeight(char) {
+  const code = char.codePointAt(0);
+  const light =
+    code <= 4351 ||
+    (code >= 8192 && code <= 8205) ||
+    (code >= 8208 && code <= 8223) ||
+    (code >= 8242 && code <= 8247);
+  return light ? 1 : 2;
+}
+
+function getWeightedLength(text) {
+  let length = 0;
+  for (const char of text) length += getCharWeight(char);
+  return length;
+}
+
+// Cut on a word boundary when possible so the reply doesn't end mid-word
+function clipToCharLimit(text, limit = TWEET_CHAR_LIMIT) {
+  if (getWeightedLength(text) <= limit) return text;
+
+  let clipped = "";
+  let length = 0;
+  for (const char of text) {
+    const weight = getCharWeight(char);
+    if (length + weight > limit - 1) break;
+    clipped += char;
+    length += weight;
+  }
+
+  const lastSpace = clipped.lastIndexOf(" ");
+  if (lastSpace > clipped.length * 0.6) {
+    clipped = clipped.substring(0, lastSpace);
+  }
+  return clipped.trimEnd() + "…";
+}
+
+// The reply dialog repeats the tweet it answers, permalink included
+function findReplyDialog(tweetUrl) {
+  if (!tweetUrl) return null;
+
+  const statusPath = new URL(tweetUrl).pathname;
+  const dialogs = queryElements(document, "dialog");
+  for (const dialog of dialogs) {
+    if (
+      getComposerEditor(dialog) &&
+      dialog.querySelector(`a[href="${statusPath}"]`)
+    ) {
+      return dialog;
+    }
+  }
+  return null;
+}
+
+function getComposerEditor(dialog) {
+  return queryElement(dialog, "composerEditor");
+}
+
+function findComposerPostButton(dialog) {
+  return queryElement(dialog, "postButton");
+}
+
+// Click the tweet's reply button and wait for its own dialog to show up
+async function openReplyComposer(tweet, tweetUrl) {
+  const replyButton = queryElement(tweet, "reply");
+  if (!replyButton) return null;
+
+  replyButton.focus();
+  replyButton.click();
+  return waitFor(() => findReplyDialog(tweetUrl), COMPOSER_OPEN_TIMEOUT_MS);
+}
+
+// Draft.js ignores plain DOM edits but handles paste events, so the text
+// goes in as a synthetic paste. beforeinput is the fallback for editors
+// that don't listen to paste.
+async function insertComposerText(dialog, text) {
+  const editor = getComposerEditor(dialog);
+  if (!editor) return false;
+
+  editor.focus();
+
+  const clipboardData = new DataTransfer();
+  clipboardData.setData("text/plain", text);
+  editor.dispatchEvent(
+    new ClipboardEvent("paste", {
+      clipboardData,
+      bubbles: true,
+      cancelable: true,
+    })
+  );
+
+  const inserted = () => editor.textContent.includes(text.substring(0, 20));
+  if (await waitFor(inserted, 1000)) return true;
+
+  editor.dispatchEvent(
+    new InputEvent("beforeinput", {
+      inputType: "insertText",
+      data: text,
+      bubbles: true,
+      cancelable: true,
+    })
+  );
+  return Boolean(await waitFor(inserted, 1000));
+}
+
+// Click post and wait for X to confirm: the dialog has to close, and an
+// error toast ("Something went wrong") right after means it didn't go out.
+async function submitComposer(dialog) {
+  const postButton = await waitFor(() => {
+    const button = findComposerPostButton(dialog);
+    return button && button.getAttribute("aria-disabled") !== "true"
+      ? button
+      : null;
+  }, 2000);
+  if (!postButton) {
+    return { posted: false, error: "Post button never became enabled" };
+  }
+
+  postButton.click();
+
+  const getErrorToast = () => {
+    const toast = queryElement(document, "toast");
+    return toast && /went wrong|try again|limit/i.test(toast.textContent)
+      ? toast.textContent.trim()
+      : null;
+  };
+
+  const closed = await waitFor(
+    () => getErrorToast() || !dialog.isConnected,
+    COMPOSER_POST_TIMEOUT_MS
+  );
+  if (!closed) {
+    return { posted: false, error: "Reply dialog never closed" };
+  }
+
+  const error = getErrorToast() || (await waitFor(getErrorToast, 1500));
+  return error ? { posted: false, error } : { posted: true, error: "" };
+}
+
+// Full insert + post cycle for an already open reply dialog
+async function postWithComposer(dialog, reply) {
+  const text = clipToCharLimit(reply.trim());
+
+  if (!(await insertComposerText(dialog, text))) {
+    return { posted: false, error: "Editor did not accept the text", text };
+  }
+
+  const result = await submitComposer(dialog);
+  return { ...result, text };
+}
@@ -4,16 +4,28 @@
 let settings = null;
 let isRunning = false;
 let lastActionTime = 0;
-let processedTweets = new Set();
+let processedTweets = new Set(); // Mirror of the extension-wide processed IDs
+let simulatedTweets = new Set(); // Dry run only, never shared or stored
 let automationEnabled = false;
 let automationInterval = null;
-let pageVisibilityInterval = null;
 
 // Global counters
 let totalTweets = 0;
 let processedLikes = 0;
 let processedComments = 0;
-let currentTweetForComment = null;
+let queuedDrafts = 0;
+let failedComments = 0;
+let simulatedActions = 0;
+let automationMode = "off"; // Set by the background controller
+let stopReason = ""; // Why budgets halted automation, shown in the overlay
+let selectorProblem = ""; // Set when X's page no longer matches selectors.js
+let repliesPausedUntil = 0; // The provider is rate limited until then
+let lastSelectorCheck = 0;
+
+// Replies in flight: requestId -> { tweet, tweetUrl, tweetText, timer }
+let pendingReplies = new Map();
+const REPLY_TIMEOUT_MS = 20000;
+const SELECTOR_RECHECK_MS = 5 * 60 * 1000;
 
 // Performance optimizations
 let tweetCache = new Map();
@@ -24,24 +36,21 @@ let fastMode = true; // Enable fast processing
 // Listen for messages from background script
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   switch (message.type) {
-    case "settingsUpdated":
-      settings = message.settings;
-      if (settings.automationEnabled !== automationEnabled) {
-        toggleAutomation(settings.automationEnabled);
-      }
-      sendResponse({ status: "received" });
-      break;
-    case "automationToggle":
-      toggleAutomation(message.enabled);
-      sendResponse({ status: "toggled" });
-      break;
     case "groqApiResponse":
-      handleGroqResponse(message.data);
+      handleGroqResponse(message.requestId, message.data, message.model);
       sendResponse({ status: "handled" });
       break;
+    case "postDraft":
+      postApprovedDraft(message.draft).then((posted) =>
+        sendResponse({ posted })
+      );
+      break;
+    case "automationState":
+      applyAutomationState(message.state);
+      sendResponse({ status: "applied" });
+      break;
     case "groqApiError":
-      console.error("Groq API error:", message.error);
-      handleCommentError();
+      handleGroqError(message.requestId, message.error, message.retryAfterMs);
       sendResponse({ status: "error_handled" });
       break;
     case "ping":
@@ -55,48 +64,48 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 async function initialize() {
   console.log("Fast initialization starting...");
 
-  // Load settings quickly
+  // Same schema and defaults as the popup and background
   try {
-    settings = await chrome.storage.sync.get([
-      "groqApiKey",
-      "groqModel",
-      "enableLiking",
-      "enableCommenting",
-      "automationEnabled",
-    ]);
+    settings = await loadSettings();
     console.log("Settings loaded fast:", settings);
   } catch (error) {
     console.log("Using default settings");
-    settings = {
-      enableLiking: true,
-      enableCommenting: true,
-      automationEnabled: false,
-    };
+    settings = normalizeSettings({});
   }
 
+  // Popup saves reach us through storage, not messages
+  onSettingsChanged((newSettings) => {
+    // Tweets a dry run only simulated are fair game for a real run
+    if (settings.dryRun && !newSettings.dryRun) simulatedTweets.clear();
+    settings = newSettings;
+  });
+
+  // Already-processed tweets from earlier page loads and other tabs
+  await loadProcessedTweets();
+
   // Start observing immediately
   observeTweets();
 
-  // Initialize automation if enabled
-  if (settings.automationEnabled) {
-    toggleAutomation(true);
+  // The background controller decides whether this tab should be running
+  try {
+    const { state } = await chrome.runtime.sendMessage({
+      type: "getAutomationState",
+    });
+    applyAutomationState(state);
+  } catch (error) {
+    console.log("Could not reach the automation controller:", error);
   }
 
+  // A runner checks on its first cycle; other tabs check now so the popup
+  // can tell a broken page apart from an idle one
+  if (!automationEnabled) verifySelectors();
+
   // Keep script alive even when tab is not active
   startBackgroundMode();
 }
 
-// BACKGROUND MODE - keeps script running when tab is not active
+// BACKGROUND MODE - keeps automation going when tab is not active
 function startBackgroundMode() {
-  // Prevent script from being garbage collected
-  pageVisibilityInterval = setInterval(() => {
-    // Heartbeat to keep script alive
-    chrome.storage.local.set({
-      scriptAlive: Date.now(),
-      tabUrl: window.location.href,
-    });
-  }, 10000); // Every 10 seconds
-
   // Handle page visibility changes
   document.addEventListener("visibilitychange", () => {
     if (document.hidden) {
@@ -146,12 +155,12 @@ function observeTweets() {
 async function processTweetsQuickly() {
   if (!settings || !automationEnabled || isRunning) return;
 
-  const tweets = document.querySelectorAll('article[data-testid="tweet"]');
+  const tweets = queryElements(document, "tweet");
 
   for (const tweet of tweets) {
     const tweetId = getTweetId(tweet);
 
-    if (processedTweets.has(tweetId)) continue;
+    if (!tweetId || isTweetHandled(tweetId)) continue;
 
     // Quick visibility check
     const rect = tweet.getBoundingClientRect();
@@ -200,6 +209,15 @@ async function processActionQueue() {
 // MUCH FASTER tweet engagement
 async function engageWithTweetFast(tweet, tweetId) {
   try {
+    // Another tab (or an earlier page load) may already have this tweet.
+    // A dry run doesn't claim, so the tweet is still there for a real run.
+    if (settings.dryRun) {
+      simulatedTweets.add(tweetId);
+    } else if (!(await claimTweet(tweetId))) {
+      processedTweets.add(tweetId);
+      return false;
+    }
+
     // Skip scroll if tweet is already visible
     const rect = tweet.getBoundingClientRect();
     if (rect.bottom > window.innerHeight) {
@@ -207,16 +225,85 @@ async function engageWithTweetFast(tweet, tweetId) {
       await delay(fastMode ? 500 : 1000);
     }
 
+    // Targeting rules decide separately for likes and replies
+    const tweetInfo = getTweetInfo(tweet);
+    let likeDecision = evaluateRules(settings.likeRules, tweetInfo);
+    let replyDecision = evaluateRules(settings.replyRules, tweetInfo);
+
+    // Sensitive topics override the rules; the model is only asked when a
+    // reply is still on the table
+    const classifier = getClassifierConfig(settings);
+    const tags = await classifyTweet(
+      tweet,
+      tweetInfo.text,
+      classifier.classifierModelCheck && replyDecision.allowed
+    );
+    likeDecision = applyTopicSkip(
+      likeDecision,
+      tags,
+      classifier.skipLikeCategories
+    );
+    replyDecision = applyTopicSkip(
+      replyDecision,
+      tags,
+      classifier.skipReplyCategories
+    );
+    if (tags.modelError && replyDecision.allowed) {
+      replyDecision = { allowed: false, rule: "topic check failed" };
+    }
+
+    // Only reply in the languages picked in the popup
+    if (replyDecision.allowed && !isLanguageAllowed(tweetInfo.lang, settings)) {
+      replyDecision = {
+        allowed: false,
+        rule: `language "${tweetInfo.lang || "unknown"}" not in reply list`,
+      };
+    }
+
+    recordRuleDecision({
+      tweetUrl: getTweetUrl(tweet),
+      author: tweetInfo.author,
+      text: tweetInfo.text.substring(0, 80),
+      tags,
+      like: likeDecision,
+      reply: replyDecision,
+      at: Date.now(),
+    }).catch((error) => console.log("Could not record rule decision:", error));
+
+    // Blocked for both - keep the claim so we don't look at it again
+    if (!likeDecision.allowed && !replyDecision.allowed) {
+      console.log("Tweet skipped by rules:", likeDecision.rule);
+      processedTweets.add(tweetId);
+      return false;
+    }
+
+    if (settings.dryRun) {
+      const simulated = simulateEngagement(tweet, likeDecision, replyDecision);
+      // Like a real run, a later cycle may try a tweet nothing happened to
+      if (!simulated) simulatedTweets.delete(tweetId);
+      return simulated;
+    }
+
     let actionTaken = false;
 
     // FASTER liking
-    if (settings.enableLiking) {
+    if (
+      settings.enableLiking &&
+      likeDecision.allowed &&
+      !(await haltIfOverBudget("like"))
+    ) {
       const liked = await likePostFast(tweet);
       if (liked) actionTaken = true;
     }
 
     // FASTER commenting (reduced frequency for speed)
-    if (settings.enableCommenting && shouldCommentFast()) {
+    if (
+      automationEnabled &&
+      settings.enableCommenting &&
+      replyDecision.allowed &&
+      shouldCommentFast() &&
+      !(await haltIfOverBudget("reply"))
+    ) {
       const commented = await commentOnPostFast(tweet);
       if (commented) actionTaken = true;
     }
@@ -226,6 +313,9 @@ async function engageWithTweetFast(tweet, tweetId) {
       updateLastActionTime();
       totalTweets++;
       updateCounterDisplay();
+    } else {
+      // Nothing happened, let a later cycle try this tweet again
+      releaseTweet(tweetId);
     }
 
     return actionTaken;
@@ -235,13 +325,82 @@ async function engageWithTweetFast(tweet, tweetId) {
   }
 }
 
+// Dry run: the same decisions as a real run, but instead of clicking the
+// tweet is highlighted and the actions are recorded as simulated. The reply
+// is still generated and moderated by the background, just never typed.
+// Budgets don't apply since nothing is posted.
+function simulateEngagement(tweet, likeDecision, replyDecision) {
+  const tweetText = getTweetTextFast(tweet);
+  const like = settings.enableLiking && likeDecision.allowed;
+  const reply =
+    settings.enableCommenting &&
+    replyDecision.allowed &&
+    tweetText &&
+    shouldCommentFast();
+  if (!like && !reply) return false;
+
+  highlightDryRunCandidate(tweet, like, reply);
+
+  if (like) {
+    recordEngagement("dry_run_like", tweet);
+    simulatedActions++;
+  }
+  if (reply) {
+    chrome.runtime
+      .sendMessage({
+        type: "groqApiRequest",
+        data: {
+          prompt: tweetText,
+          author: getTweetAuthor(tweet),
+          context: extractTweetContext(tweet),
+          tweetUrl: getTweetUrl(tweet),
+          dryRun: true,
+        },
+      })
+      .catch((error) =>
+        console.log("Could not request a dry-run reply:", error)
+      );
+    simulatedActions++;
+  }
+
+  updateLastActionTime();
+  updateCounterDisplay();
+  return true;
+}
+
+// Outline the tweet a real run would have engaged with
+function highlightDryRunCandidate(tweet, like, reply) {
+  tweet.style.outline = "3px dashed #ffd400";
+  tweet.style.outlineOffset = "-3px";
+
+  let badge = tweet.querySelector(".replyx-dry-run");
+  if (!badge) {
+    badge = document.createElement("div");
+    badge.className = "replyx-dry-run";
+    badge.style.cssText = `
+        padding: 4px 8px;
+        background: #ffd400;
+        color: #000;
+        font-family: Arial, sans-serif;
+        font-size: 12px;
+    `;
+    tweet.appendChild(badge);
+  }
+  badge.textContent = `ReplyX dry run: would ${[
+    like && "like",
+    reply && "reply",
+  ]
+    .filter(Boolean)
+    .join(" and ")}`;
+}
+
 // FASTER liking with minimal delays
 async function likePostFast(tweet) {
-  const likeButton = tweet.querySelector('[data-testid="like"]');
+  const likeButton = queryElement(tweet, "like");
   if (!likeButton) return false;
 
   // Quick check if already liked
-  const isLiked = tweet.querySelector('[data-testid="unlike"]');
+  const isLiked = queryElement(tweet, "unlike");
   if (isLiked) {
     processedLikes++;
     return true;
@@ -256,10 +415,11 @@ async function likePostFast(tweet) {
 
     // Quick verification
     await delay(fastMode ? 300 : 1000);
-    const verifyLiked = tweet.querySelector('[data-testid="unlike"]');
+    const verifyLiked = queryElement(tweet, "unlike");
     if (verifyLiked) {
       processedLikes++;
       updateCounterDisplay();
+      recordEngagement("like", tweet);
       return true;
     }
     return false;
@@ -276,27 +436,65 @@ async function commentOnPostFast(tweet) {
     const tweetText = getTweetTextFast(tweet);
     if (!tweetText) return false;
 
-    // Find reply button
-    const replyButton = tweet.querySelector('[data-testid="reply"]');
-    if (!replyButton) return false;
+    // Draft mode: the reply goes to the review queue, nothing is typed yet
+    if (settings.draftMode) {
+      chrome.runtime
+        .sendMessage({
+          type: "groqApiRequest",
+          data: {
+            prompt: tweetText,
+            author: getTweetAuthor(tweet),
+            context: extractTweetContext(tweet),
+            tweetUrl: getTweetUrl(tweet),
+            draft: true,
+          },
+        })
+        .catch((error) => console.log("Could not request a draft:", error));
+      queuedDrafts++;
+      updateCounterDisplay();
+      return true;
+    }
 
-    // Quick click
-    replyButton.focus();
-    await delay(fastMode ? 100 : 500);
-    replyButton.click();
+    // X only keeps one reply dialog open, so wait for the current one
+    if (pendingReplies.size > 0) return false;
 
-    // Reduced wait time
-    await delay(fastMode ? 1000 : 2000);
+    // No point opening a dialog the provider won't answer yet
+    if (Date.now() < repliesPausedUntil) return false;
 
-    // Store reference
-    currentTweetForComment = tweet;
+    // Open this tweet's reply dialog before asking for a reply
+    const tweetUrl = getTweetUrl(tweet);
+    if (!(await openReplyComposer(tweet, tweetUrl))) {
+      console.log("Reply dialog did not open for:", tweetUrl);
+      await handleCommentError();
+      return false;
+    }
 
-    // Request AI reply
-    chrome.runtime.sendMessage({
-      type: "groqApiRequest",
-      data: { prompt: tweetText },
+    // Request AI reply, tagged so the answer comes back to this tweet
+    const requestId = createRequestId();
+    pendingReplies.set(requestId, {
+      tweet,
+      tweetUrl,
+      tweetText,
+      timer: setTimeout(() => expirePendingReply(requestId), REPLY_TIMEOUT_MS),
     });
 
+    chrome.runtime
+      .sendMessage({
+        type: "groqApiRequest",
+        data: {
+          requestId,
+          prompt: tweetText,
+          author: getTweetAuthor(tweet),
+          context: extractTweetContext(tweet),
+          tweetUrl,
+          timeoutMs: REPLY_TIMEOUT_MS,
+        },
+      })
+      .catch((error) => {
+        console.log("Could not request a reply:", error);
+        expirePendingReply(requestId);
+      });
+
     return true;
   } catch (error) {
     console.error("Error in fast comment:", error);
@@ -308,14 +506,14 @@ async function commentOnPostFast(tweet) {
 function getTweetTextFast(tweet) {
   // Use cached result if available
   const tweetId = getTweetId(tweet);
-  if (tweetCache.has(tweetId)) {
+  if (tweetId && tweetCache.has(tweetId)) {
     return tweetCache.get(tweetId);
   }
 
-  const textElement = tweet.querySelector('[data-testid="tweetText"]');
+  const textElement = queryElement(tweet, "tweetText");
   if (textElement) {
     const text = textElement.textContent.trim();
-    tweetCache.set(tweetId, text);
+    if (tweetId) tweetCache.set(tweetId, text);
 
     // Clean cache if too big
     if (tweetCache.size > 50) {
@@ -330,63 +528,115 @@ function getTweetTextFast(tweet) {
 }
 
 // FASTER response handling
-async function handleGroqResponse(reply) {
-  try {
-    console.log("Handling fast response:", reply);
+async function handleGroqResponse(requestId, reply, model) {
+  const pending = takePendingReply(requestId);
+  if (!pending) {
+    console.log("Ignoring reply for unknown or expired request:", requestId);
+    return false;
+  }
+
+  console.log("Handling fast response:", reply);
+  return postReplyForTweet(pending.tweet, reply, {
+    tweetUrl: pending.tweetUrl,
+    tweetText: pending.tweetText,
+    model,
+  });
+}
 
-    // Minimal wait
-    await delay(fastMode ? 500 : 1000);
+// Replies pause for as long as the background asks (a rate limited provider
+// or the "retry later" fallback); likes carry on meanwhile
+async function handleGroqError(requestId, error, retryAfterMs = 0) {
+  const pending = takePendingReply(requestId);
+  if (!pending) return;
 
-    // Direct text insertion
-    const activeElement = document.activeElement;
-    if (
-      activeElement &&
-      (activeElement.contentEditable === "true" ||
-        activeElement.tagName === "TEXTAREA")
-    ) {
-      // Use fastest method
-      if (document.execCommand) {
-        document.execCommand("insertText", false, reply);
-      } else {
-        activeElement.textContent = reply;
-        activeElement.dispatchEvent(new Event("input", { bubbles: true }));
-      }
+  console.error("Groq API error:", error);
+  if (retryAfterMs > 0) {
+    repliesPausedUntil = Date.now() + retryAfterMs;
+    updateCounterDisplay();
+  }
+  reportTabStatus(
+    /429|rate limit|quota/i.test(error) ? "rate_limited" : "error",
+    {
+      error,
     }
+  );
+  await handleCommentError();
+}
 
-    await delay(fastMode ? 500 : 1000);
+function takePendingReply(requestId) {
+  const pending = pendingReplies.get(requestId);
+  if (!pending) return null;
 
-    // Quick button find and click
-    const replyButton = findReplyButton();
-    if (replyButton) {
-      replyButton.click();
+  clearTimeout(pending.timer);
+  pendingReplies.delete(requestId);
+  return pending;
+}
 
-      processedComments++;
-      updateCounterDisplay();
+// Nothing came back in time - close the composer we opened for it
+async function expirePendingReply(requestId) {
+  if (!takePendingReply(requestId)) return;
 
-      // Quick scroll after comment
-      await delay(fastMode ? 1000 : 2000);
-      await quickScroll();
+  console.log("Reply request timed out:", requestId);
+  await handleCommentError();
+}
+
+// Type the reply into the dialog opened for this tweet, post it and record
+// the verified outcome - success or failure - in counters and history
+async function postReplyForTweet(tweet, reply, details) {
+  try {
+    const dialog = findReplyDialog(details.tweetUrl);
+    const result = dialog
+      ? await postWithComposer(dialog, reply)
+      : {
+          posted: false,
+          error: "Reply dialog for tweet not found",
+          text: reply,
+        };
+
+    if (!result.posted) {
+      console.log("Reply not posted:", result.error);
+      reportTabStatus("error", { error: result.error });
+      failedComments++;
+      updateCounterDisplay();
+      recordEngagement("reply_failed", tweet, {
+        ...details,
+        reply: result.text,
+        error: result.error,
+      });
+      await handleCommentError();
+      return false;
     }
+
+    processedComments++;
+    updateCounterDisplay();
+    recordEngagement("reply", tweet, { ...details, reply: result.text });
+
+    // Quick scroll after comment
+    await delay(fastMode ? 1000 : 2000);
+    await quickScroll();
+    return true;
   } catch (error) {
     console.error("Error in fast response handling:", error);
     await handleCommentError();
+    return false;
   }
 }
 
-// FASTER button finding
-function findReplyButton() {
-  // Quick selectors
-  const quickSelectors = [
-    '[data-testid="tweetButton"]',
-    '[data-testid="tweetButtonInline"]',
-  ];
+// Post a reply a reviewer approved from the review queue
+async function postApprovedDraft(draft) {
+  const tweet = findTweetByUrl(draft.tweetUrl);
+  if (!tweet) return false;
 
-  for (const selector of quickSelectors) {
-    const button = document.querySelector(selector);
-    if (button) return button;
-  }
+  tweet.scrollIntoView({ behavior: "auto", block: "center" });
+  await delay(fastMode ? 500 : 1000);
 
-  return null;
+  if (!(await openReplyComposer(tweet, draft.tweetUrl))) return false;
+
+  return postReplyForTweet(tweet, draft.reply, {
+    tweetUrl: draft.tweetUrl,
+    tweetText: draft.tweetText,
+    model: draft.model,
+  });
 }
 
 // FASTER scrolling
@@ -409,7 +659,17 @@ async function runAutomation() {
   isRunning = true;
 
   try {
-    const tweets = document.querySelectorAll('article[data-testid="tweet"]');
+    // The session can run out while nothing is liked or replied to
+    if (await haltIfOverBudget()) return;
+
+    if (
+      Date.now() - lastSelectorCheck > SELECTOR_RECHECK_MS &&
+      !(await verifySelectors())
+    ) {
+      return;
+    }
+
+    const tweets = queryElements(document, "tweet");
     totalTweets = tweets.length;
     updateCounterDisplay();
 
@@ -419,7 +679,7 @@ async function runAutomation() {
     for (const tweet of tweets) {
       const tweetId = getTweetId(tweet);
 
-      if (!processedTweets.has(tweetId)) {
+      if (tweetId && !isTweetHandled(tweetId)) {
         // Check if the tweet is actually visible and not an empty placeholder
         const rect = tweet.getBoundingClientRect();
         if (rect.height > 10) {
@@ -442,9 +702,7 @@ async function runAutomation() {
     if (!processedInThisCycle) {
       console.log("No unprocessed tweets in view. Scrolling to find more...");
 
-      const allTweetsOnPage = document.querySelectorAll(
-        'article[data-testid="tweet"]'
-      );
+      const allTweetsOnPage = queryElements(document, "tweet");
 
       // TODO: I don't if this correct !!
       // if (allTweetsOnPage.length > 0) {
@@ -469,22 +727,120 @@ async function runAutomation() {
     }
   } catch (error) {
     console.error("Error in robust automation cycle:", error);
+    reportTabStatus("error", { error: error.message });
   } finally {
     isRunning = false;
   }
 }
 
-// FASTER automation controls
-function toggleAutomation(enabled) {
-  automationEnabled = enabled;
+// FASTER automation controls, driven by the background controller.
+// Only the runner tab automates; paused and budget-stopped runners keep
+// the overlay so it shows why.
+function applyAutomationState(state) {
+  automationMode = state.mode;
+  stopReason = state.mode === "off" ? state.reason : "";
+  automationEnabled = state.mode === "on" && state.isRunner;
 
-  if (enabled) {
+  if (automationEnabled) {
+    lastSelectorCheck = 0; // Check again before the first cycle
     createCounterDisplay();
     startAutomationFast();
-  } else {
+    reportTabStatus("running");
+    return;
+  }
+
+  if (!state.isRunner) {
     stopAutomation();
     removeCounterDisplay();
+    if (selectorProblem) {
+      reportTabStatus("selectors_broken", { error: selectorProblem });
+    } else {
+      reportTabStatus(state.mode === "on" ? "standby" : "idle");
+    }
+    return;
+  }
+
+  stopAutomation();
+  if (state.mode === "paused" || stopReason) {
+    createCounterDisplay();
+    updateCounterDisplay();
+  } else {
+    removeCounterDisplay();
+  }
+  if (selectorProblem) {
+    reportTabStatus("selectors_broken", { error: selectorProblem });
+  } else {
+    reportTabStatus(stopReason ? "rate_limited" : "idle", {
+      error: stopReason,
+    });
+  }
+}
+
+// Tell the controller what this tab is doing, for the popup
+function reportTabStatus(state, details = {}) {
+  chrome.runtime
+    .sendMessage({
+      type: "tabStatus",
+      status: { state, lastActionAt: lastActionTime, ...details },
+    })
+    .catch(() => {});
+}
+
+// Hard stop when a budget is used up; the overlay stays to show why.
+// Without a type only the session length is checked.
+async function haltIfOverBudget(type) {
+  const reason = type
+    ? await getBudgetStopReason(type, settings)
+    : await getSessionStopReason(settings);
+  if (!reason) return false;
+
+  console.log("Automation stopped:", reason);
+  automationEnabled = false;
+  stopReason = reason;
+  stopAutomation();
+  updateCounterDisplay();
+
+  // Every tab stops, not just this one
+  await chrome.runtime
+    .sendMessage({ type: "setAutomation", mode: "off", reason })
+    .catch((error) => console.log("Could not stop automation:", error));
+  return true;
+}
+
+// Startup and periodic self-check against X's current DOM. A runner that
+// can't find what it needs pauses automation everywhere instead of failing
+// silently; resuming checks again.
+async function verifySelectors() {
+  lastSelectorCheck = Date.now();
+  const health = await checkSelectorHealth();
+  const hadProblem = Boolean(selectorProblem);
+  selectorProblem = health.ok
+    ? ""
+    : `Selectors broken: ${health.missing.join(", ")} not found`;
+  updateCounterDisplay();
+
+  if (health.noTimeline) {
+    console.log("No timeline on this page, selector check skipped");
   }
+  if (health.ok) {
+    if (hadProblem) reportTabStatus(automationEnabled ? "running" : "idle");
+    return true;
+  }
+
+  console.log(selectorProblem);
+  reportTabStatus("selectors_broken", { error: selectorProblem });
+  if (automationEnabled) {
+    automationEnabled = false;
+    stopAutomation();
+    await chrome.runtime
+      .sendMessage({
+        type: "setAutomation",
+        mode: "paused",
+        reason: selectorProblem,
+      })
+      .catch((error) => console.log("Could not pause automation:", error));
+  }
+  return false;
 }
 
 function startAutomationFast() {
@@ -509,21 +865,159 @@ function stopAutomation() {
     clearInterval(automationInterval);
     automationInterval = null;
   }
-  if (pageVisibilityInterval) {
-    clearInterval(pageVisibilityInterval);
-    pageVisibilityInterval = null;
-  }
   isRunning = false;
 }
 
 // UTILITY FUNCTIONS
+// Real status ID from the permalink. X recycles article nodes while
+// scrolling, so anything stored on the node itself can't be trusted.
 function getTweetId(tweet) {
-  if (!tweet.dataset.tweetId) {
-    tweet.dataset.tweetId = `tweet_${Date.now()}_${Math.random()
-      .toString(36)
-      .substr(2, 9)}`;
+  const match = getTweetUrl(tweet).match(/\/status\/(\d+)/);
+  return match ? match[1] : null;
+}
+
+function isTweetHandled(tweetId) {
+  return processedTweets.has(tweetId) || simulatedTweets.has(tweetId);
+}
+
+// Seed the local set and follow updates made by other tabs
+async function loadProcessedTweets() {
+  const items = await chrome.storage.local.get("processedTweetIds");
+  processedTweets = new Set(Object.keys(items.processedTweetIds || {}));
+
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === "local" && changes.processedTweetIds) {
+      processedTweets = new Set(
+        Object.keys(changes.processedTweetIds.newValue || {})
+      );
+    }
+  });
+}
+
+// The background owns the processed list so two tabs can't take one tweet
+async function claimTweet(tweetId) {
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: "claimTweet",
+      tweetId,
+    });
+    return response.claimed;
+  } catch (error) {
+    console.log("Claim failed, using local dedup:", error);
+    return !processedTweets.has(tweetId);
   }
-  return tweet.dataset.tweetId;
+}
+
+function releaseTweet(tweetId) {
+  chrome.runtime.sendMessage({ type: "releaseTweet", tweetId }).catch(() => {});
+}
+
+// Permalink of the tweet, taken from the timestamp link
+function getTweetUrl(tweet) {
+  const timeLink = queryElement(tweet, "permalinkTime");
+  return timeLink ? timeLink.closest("a").href : "";
+}
+
+// Handle from the User-Name block, falling back to the permalink path
+function getTweetAuthor(tweet) {
+  const profileLink = queryElement(tweet, "userLink");
+  const path = profileLink
+    ? profileLink.getAttribute("href")
+    : new URL(getTweetUrl(tweet) || location.href).pathname;
+  return path.split("/")[1] || "";
+}
+
+// Everything the targeting rules look at
+function getTweetInfo(tweet) {
+  return {
+    text: getTweetTextFast(tweet),
+    author: getTweetAuthor(tweet),
+    isPromoted: isPromotedTweet(tweet),
+    isReply: isReplyTweet(tweet),
+    lang: getTweetLanguage(tweet),
+  };
+}
+
+// X hides flagged photos/videos behind a content warning overlay
+function hasSensitiveMediaWarning(tweet) {
+  return Array.from(tweet.querySelectorAll("span")).some((span) =>
+    /potentially sensitive content|^Content warning/i.test(
+      span.textContent.trim()
+    )
+  );
+}
+
+// { categories, sensitiveMedia, sentiment, modelError } for the classifier.
+// If the optional model check fails the tweet counts as unchecked.
+async function classifyTweet(tweet, text, askModel) {
+  const tags = {
+    categories: detectTopicCategories(text),
+    sensitiveMedia: hasSensitiveMediaWarning(tweet),
+    sentiment: detectSentiment(text),
+    modelError: "",
+  };
+  if (tags.sensitiveMedia) tags.categories.push("sensitive_media");
+  if (!askModel) return tags;
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: "classifyTweet",
+      text,
+    });
+    if (response.error) throw new Error(response.error);
+    for (const category of response.categories) {
+      if (!tags.categories.includes(category)) tags.categories.push(category);
+    }
+  } catch (error) {
+    console.log("Topic check failed:", error.message);
+    tags.modelError = error.message;
+  }
+  return tags;
+}
+
+// Ads carry a small "Ad"/"Promoted" label instead of a timestamp link
+function isPromotedTweet(tweet) {
+  if (tweet.closest(getSelector("promoted"))) return true;
+  return Array.from(tweet.querySelectorAll("span")).some((span) =>
+    ["Ad", "Promoted"].includes(span.textContent.trim())
+  );
+}
+
+function isReplyTweet(tweet) {
+  return getReplyingToHandles(tweet).length > 0;
+}
+
+function findTweetByUrl(url) {
+  if (!url) return null;
+
+  const tweets = queryElements(document, "tweet");
+  for (const tweet of tweets) {
+    if (getTweetUrl(tweet) === url) return tweet;
+  }
+  return null;
+}
+
+// Persist a like or reply in the extension's history log
+function recordEngagement(type, tweet, details = {}) {
+  chrome.runtime
+    .sendMessage({
+      type: "recordHistory",
+      entry: {
+        type,
+        tweetUrl: getTweetUrl(tweet),
+        author: getTweetAuthor(tweet),
+        tweetText: getTweetTextFast(tweet),
+        reply: "",
+        model: "",
+        ...details,
+        timestamp: Date.now(),
+      },
+    })
+    .catch((error) => console.log("Could not record history:", error));
+}
+
+function createRequestId() {
+  return `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 }
 
 function shouldCommentFast() {
@@ -532,6 +1026,7 @@ function shouldCommentFast() {
 
 function updateLastActionTime() {
   lastActionTime = Date.now();
+  reportTabStatus("running");
 }
 
 function delay(ms) {
@@ -558,7 +1053,7 @@ function createCounterDisplay() {
   counter.style.cssText = `
         position: fixed;
         width: 200px;
-        height: 80px;
+        min-height: 80px;
         bottom: 20px;
         right: 20px;
         background: rgba(0,0,0,0.9);
@@ -582,7 +1077,34 @@ function updateCounterDisplay() {
     counter.innerHTML = `
             <div><strong>🚀 ReplyX Fast Mode</strong></div>
             <div>Tweets: ${totalTweets} | Likes: ${processedLikes}</div>
-            <div>Comments: ${processedComments}</div>
+            <div>Comments: ${processedComments} | Failed: ${failedComments} | Drafts: ${queuedDrafts}</div>
+            ${
+              settings?.dryRun
+                ? `<div style="color:#ffd400;">Dry run: ${simulatedActions} simulated</div>`
+                : ""
+            }
+            ${
+              stopReason
+                ? `<div style="color:#f4212e;">Stopped: ${stopReason}</div>`
+                : ""
+            }
+            ${
+              selectorProblem
+                ? `<div style="color:#f4212e;">${selectorProblem}</div>`
+                : ""
+            }
+            ${
+              Date.now() < repliesPausedUntil
+                ? `<div style="color:#ffd400;">Replies resume at ${new Date(
+                    repliesPausedUntil
+                  ).toLocaleTimeString()}</div>`
+                : ""
+            }
+            ${
+              automationMode === "paused"
+                ? `<div style="color:#ffd400;">Paused</div>`
+                : ""
+            }
             <div style="font-size:10px;color:#aaa;">Background: ${
               document.hidden ? "ON" : "ACTIVE"
             }</div>
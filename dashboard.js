@@ -0,0 +1,80 @@
+document.addEventListener("DOMContentLoaded", function () {
+  renderHistory();
+
+  document
+    .getElementById("applyFilters")
+    .addEventListener("click", renderHistory);
+
+  // Enter in any filter box applies the filters too
+  for (const id of ["author", "search"]) {
+    document.getElementById(id).addEventListener("keydown", function (e) {
+      if (e.key === "Enter") renderHistory();
+    });
+  }
+});
+
+// Function to load history matching the filters and draw the table
+async function renderHistory() {
+  const fromValue = document.getElementById("fromDate").value;
+  const toValue = document.getElementById("toDate").value;
+
+  const entries = await queryHistory({
+    // Date inputs are local days; include the whole "to" day
+    from: fromValue ? new Date(`${fromValue}T00:00:00`).getTime() : null,
+    to: toValue ? new Date(`${toValue}T23:59:59.999`).getTime() : null,
+    author: document.getElementById("author").value.trim(),
+    search: document.getElementById("search").value.trim(),
+  });
+
+  const count = (type) => entries.filter((entry) => entry.type === type).length;
+  document.getElementById("summary").textContent = `${
+    entries.length
+  } actions · ${count("like")} likes · ${count("reply")} replies · ${count(
+    "reply_failed"
+  )} failed replies · ${count(
+    "moderation_rejected"
+  )} rejected by moderation · ${count("fallback")} fallbacks · ${
+    count("dry_run_like") + count("dry_run_reply")
+  } simulated`;
+
+  const rows = document.getElementById("historyRows");
+  rows.textContent = "";
+  for (const entry of entries) {
+    rows.appendChild(createHistoryRow(entry));
+  }
+}
+
+function createHistoryRow(entry) {
+  const row = document.createElement("tr");
+
+  const tweetCell = document.createElement("td");
+  if (entry.tweetUrl) {
+    const link = document.createElement("a");
+    link.href = entry.tweetUrl;
+    link.target = "_blank";
+    link.textContent = entry.tweetText || entry.tweetUrl;
+    tweetCell.appendChild(link);
+  } else {
+    tweetCell.textContent = entry.tweetText || "";
+  }
+
+  row.append(
+    createCell(new Date(entry.timestamp).toLocaleString()),
+    createCell(
+      entry.fallback ? `${entry.type} (${entry.fallback})` : entry.type
+    ),
+    createCell(entry.author ? `@${entry.author}` : ""),
+    tweetCell,
+    createCell(
+      entry.error ? `${entry.reply || ""} (${entry.error})` : entry.reply || ""
+    ),
+    createCell(entry.model || "")
+  );
+  return row;
+}
+
+function createCell(text) {
+  const cell = document.createElement("td");
+  cell.textContent = text;
+  return cell;
+}
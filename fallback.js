@@ -0,0 +1,69 @@
+// fallback.js - what happens to a reply when the provider fails for good
+//
+// Shared by background.js, which applies the policy, and the popup, which
+// edits it; the content scripts only need the defaults. Policies:
+//   skip   - close the composer and leave the tweet
+//   retry  - hand the tweet back so a later pass tries again, after a pause
+//   review - park the tweet in the review queue with the error
+//   list   - post one of the user's own fallback replies, each with a daily
+//            cap; once they are all used up the reply is skipped
+// Uses DAY_MS from budgets.js and serializedStorageUpdate from storage.js.
+
+const FALLBACK_DEFAULTS = {
+  fallbackPolicy: "skip",
+  fallbackReplies: [], // [{ id, text, maxPerDay }], maxPerDay 0 = no cap
+};
+
+const FALLBACK_POLICIES = {
+  skip: "Skip the reply",
+  retry: "Retry later",
+  review: "Queue for review",
+  list: "Post one of my fallback replies",
+};
+const FALLBACK_USAGE_KEY = "fallbackUsage"; // chrome.storage.local, { [id]: [timestamps] }
+const FALLBACK_RETRY_DELAY_MS = 5 * 60 * 1000;
+
+function createFallbackReply() {
+  return { id: `fallback-${Date.now()}`, text: "", maxPerDay: 3 };
+}
+
+function validateFallbackReplies(replies) {
+  for (const reply of replies) {
+    if (!reply.id || !reply.text?.trim()) {
+      return "Fallback replies can't be empty";
+    }
+    if (!(reply.maxPerDay >= 0)) {
+      return "Daily caps can't be negative";
+    }
+  }
+  return null;
+}
+
+// The least used fallback reply still under its cap, counted as used; null
+// when there is none left today. Serialized so two failures at once can't
+// both take the last use of a reply.
+async function takeFallbackReply(settings) {
+  let taken = null;
+  await serializedStorageUpdate("local", FALLBACK_USAGE_KEY, (stored = {}) => {
+    const cutoff = Date.now() - DAY_MS;
+    const usage = {};
+    for (const reply of settings.fallbackReplies) {
+      usage[reply.id] = (stored[reply.id] || []).filter(
+        (timestamp) => timestamp > cutoff
+      );
+    }
+
+    const available = settings.fallbackReplies
+      .filter(
+        (reply) =>
+          reply.maxPerDay === 0 || usage[reply.id].length < reply.maxPerDay
+      )
+      .sort((a, b) => usage[a.id].length - usage[b.id].length);
+    if (available.length > 0) {
+      taken = available[0];
+      usage[taken.id].push(Date.now());
+    }
+    return usage;
+  });
+  return taken ? taken.text : null;
+}
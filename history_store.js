@@ -0,0 +1,96 @@
+// history_store.js - persistent log of every like and reply
+//
+// Lives in the extension's IndexedDB, so it is shared by background.js and
+// the dashboard page. Content scripts record through the background because
+// their IndexedDB belongs to x.com, not to the extension.
+
+const HISTORY_DB_NAME = "replyx";
+const HISTORY_DB_VERSION = 1;
+const HISTORY_STORE = "history";
+
+let historyDbPromise = null;
+
+function openHistoryDb() {
+  if (historyDbPromise) return historyDbPromise;
+
+  historyDbPromise = new Promise((resolve, reject) => {
+    const request = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(HISTORY_STORE)) {
+        const store = db.createObjectStore(HISTORY_STORE, {
+          keyPath: "id",
+          autoIncrement: true,
+        });
+        store.createIndex("timestamp", "timestamp");
+        store.createIndex("author", "author");
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      historyDbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return historyDbPromise;
+}
+
+// Entry: { type, tweetUrl, author, tweetText, reply, model, timestamp }.
+// "fallback" entries also say which fallback policy was taken.
+async function addHistoryEntry(entry) {
+  const db = await openHistoryDb();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(HISTORY_STORE, "readwrite");
+    const request = tx
+      .objectStore(HISTORY_STORE)
+      .add({ timestamp: Date.now(), ...entry });
+    request.onsuccess = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+  });
+}
+
+// Newest first. Date range uses the index, author and text are matched here.
+async function queryHistory({ from, to, author, search, limit = 500 } = {}) {
+  const db = await openHistoryDb();
+  const authorFilter = (author || "").replace(/^@/, "").toLowerCase();
+  const searchFilter = (search || "").toLowerCase();
+  const range =
+    from || to
+      ? IDBKeyRange.bound(from || 0, to || Number.MAX_SAFE_INTEGER)
+      : null;
+
+  return new Promise((resolve, reject) => {
+    const entries = [];
+    const tx = db.transaction(HISTORY_STORE, "readonly");
+    const request = tx
+      .objectStore(HISTORY_STORE)
+      .index("timestamp")
+      .openCursor(range, "prev");
+
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor || entries.length >= limit) {
+        resolve(entries);
+        return;
+      }
+
+      const entry = cursor.value;
+      const matchesAuthor =
+        !authorFilter || (entry.author || "").toLowerCase() === authorFilter;
+      const matchesSearch =
+        !searchFilter ||
+        `${entry.tweetText || ""} ${entry.reply || ""}`
+          .toLowerCase()
+          .includes(searchFilter);
+
+      if (matchesAuthor && matchesSearch) {
+        entries.push(entry);
+      }
+      cursor.continue();
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
@@ -0,0 +1,109 @@
+// languages.js - tweet language detection and the reply language allow list
+//
+// X puts a lang attribute on every tweet text; detectLanguage() is the
+// fallback when it is missing or "und". replyLanguages (chrome.storage.sync)
+// lists the codes we reply in; an empty list means any language.
+
+const LANGUAGES = {
+  en: "English",
+  es: "Spanish",
+  pt: "Portuguese",
+  fr: "French",
+  de: "German",
+  it: "Italian",
+  nl: "Dutch",
+  tr: "Turkish",
+  ru: "Russian",
+  uk: "Ukrainian",
+  ar: "Arabic",
+  hi: "Hindi",
+  bn: "Bengali",
+  th: "Thai",
+  ja: "Japanese",
+  ko: "Korean",
+  zh: "Chinese",
+};
+
+const LANGUAGE_DEFAULTS = {
+  replyLanguages: [],
+};
+
+// Scripts that mostly belong to one language, checked in this order so
+// Japanese kana wins over the Han characters it shares with Chinese
+const SCRIPT_LANGUAGES = [
+  ["ja", /[\u3040-\u30ff]/g],
+  ["ko", /[\uac00-\ud7af\u1100-\u11ff]/g],
+  ["zh", /[\u4e00-\u9fff]/g],
+  ["hi", /[\u0900-\u097f]/g],
+  ["bn", /[\u0980-\u09ff]/g],
+  ["th", /[\u0e00-\u0e7f]/g],
+  ["ar", /[\u0600-\u06ff]/g],
+  ["uk", /[\u0491\u0454\u0456\u0457]/gi],
+  ["ru", /[\u0400-\u04ff]/g],
+];
+
+// Frequent short words for the Latin-script languages
+const LATIN_STOPWORDS = {
+  en: ["the", "and", "is", "you", "that", "it", "of", "to", "this", "for"],
+  es: ["el", "la", "que", "de", "y", "los", "es", "por", "para", "una"],
+  pt: ["o", "que", "de", "e", "não", "um", "para", "com", "uma", "você"],
+  fr: ["le", "la", "les", "et", "est", "que", "des", "pour", "une", "pas"],
+  de: ["der", "die", "und", "ist", "das", "nicht", "ich", "mit", "ein", "zu"],
+  it: ["il", "che", "di", "e", "la", "non", "per", "sono", "una", "è"],
+  nl: ["de", "het", "een", "en", "is", "niet", "van", "dat", "ik", "voor"],
+  tr: ["ve", "bir", "bu", "için", "çok", "ne", "da", "ile", "ama", "değil"],
+};
+
+// Best guess at a language code from the text alone, or "" if unsure
+function detectLanguage(text) {
+  const letters = (text || "").replace(/https?:\/\/\S+|[@#]\w+/g, "");
+
+  for (const [code, pattern] of SCRIPT_LANGUAGES) {
+    const matches = letters.match(pattern) || [];
+    if (matches.length >= 2) return code;
+  }
+
+  const words = letters.toLowerCase().match(/\p{L}+/gu) || [];
+  let best = "";
+  let bestScore = 0;
+  for (const [code, stopwords] of Object.entries(LATIN_STOPWORDS)) {
+    const score = words.filter((word) => stopwords.includes(word)).length;
+    if (score > bestScore) {
+      best = code;
+      bestScore = score;
+    }
+  }
+  return bestScore >= 2 ? best : "";
+}
+
+// "pt-BR" -> "pt"; a missing or undetermined ("und") code comes back as "",
+// anything else as its base code even if it isn't in LANGUAGES
+function normalizeLanguageCode(code) {
+  const base = (code || "").toLowerCase().split("-")[0];
+  return base && base !== "und" ? base : "";
+}
+
+const LANGUAGE_DISPLAY_NAMES = new Intl.DisplayNames(["en"], {
+  type: "language",
+  fallback: "none",
+});
+
+// The English name for the prompt. Codes Intl doesn't know ask for the
+// tweet's own language rather than guessing English.
+function getLanguageName(code) {
+  const base = normalizeLanguageCode(code);
+  try {
+    return (
+      (base && LANGUAGE_DISPLAY_NAMES.of(base)) ||
+      "the same language as the tweet"
+    );
+  } catch (error) {
+    // Not a well-formed language code at all
+    return "the same language as the tweet";
+  }
+}
+
+function isLanguageAllowed(code, settings) {
+  const allowed = settings?.replyLanguages || LANGUAGE_DEFAULTS.replyLanguages;
+  return allowed.length === 0 || allowed.includes(normalizeLanguageCode(code));
+}
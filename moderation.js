@@ -0,0 +1,118 @@
+// moderation.js - safety checks between reply generation and posting
+//
+// Used by background.js (and the popup for defaults). Local checks run
+// first; the optional second model call only scores replies that passed.
+
+const MODERATION_DEFAULTS = {
+  moderationBlocklist: "",
+  allowLinks: false,
+  allowMentions: false,
+  allowHashtags: false,
+  moderationModelCheck: false,
+  moderationMinScore: 7,
+  moderationAction: "regenerate", // "regenerate" | "skip"
+};
+
+const MAX_MODERATION_ATTEMPTS = 3;
+
+// Typical ways a model declines or talks about itself instead of replying
+const REFUSAL_PATTERNS = [
+  /\bas an ai\b/i,
+  /\bI(?:'m| am) (?:just )?an? (?:AI|artificial intelligence|language model)\b/i,
+  /\blanguage model\b/i,
+  /\bI can(?:'t|not|no) (?:help|assist|comply|provide|do that)\b/i,
+  /\bI(?:'m| am) (?:sorry|unable)\b.*\b(?:can(?:'t|not)|unable)\b/i,
+  /\bI don'?t have (?:personal )?(?:opinions|feelings|access)\b/i,
+];
+
+const LINK_PATTERN =
+  /\bhttps?:\/\/\S+|\bwww\.\S+|\b[a-z0-9-]+\.(?:com|net|org|io|ai|co|dev|app|xyz|ly)\b/i;
+const MENTION_PATTERN = /(?:^|[^\w])@\w{1,15}\b/;
+const HASHTAG_PATTERN = /(?:^|[^\w&])#\w+/;
+
+function getModerationConfig(settings) {
+  const config = { ...MODERATION_DEFAULTS };
+  for (const key of Object.keys(MODERATION_DEFAULTS)) {
+    if (settings[key] !== undefined) config[key] = settings[key];
+  }
+  return config;
+}
+
+// Cheap local checks. Returns the rejection reason, or null.
+function checkReplyLocally(reply, { bannedWords = [] }, config) {
+  if (!reply || reply.length < 3) return "reply is empty";
+
+  const text = reply.toLowerCase();
+  const blocklist = [
+    ...config.moderationBlocklist.split(/[\n,]/),
+    ...bannedWords,
+  ]
+    .map((word) => word.trim().toLowerCase())
+    .filter(Boolean);
+  const blocked = blocklist.find((word) => text.includes(word));
+  if (blocked) return `contains blocked word "${blocked}"`;
+
+  if (REFUSAL_PATTERNS.some((pattern) => pattern.test(reply))) {
+    return "looks like a model refusal";
+  }
+  if (!config.allowLinks && LINK_PATTERN.test(reply)) {
+    return "contains a link";
+  }
+  if (!config.allowMentions && MENTION_PATTERN.test(reply)) {
+    return "contains a mention";
+  }
+  if (!config.allowHashtags && HASHTAG_PATTERN.test(reply)) {
+    return "contains a hashtag";
+  }
+  return null;
+}
+
+// Second opinion from the model: 1 (don't post) to 10 (clearly fine)
+async function scoreReplyWithModel(reply, tweetText, settings, timeoutMs) {
+  const prompt = `You review replies before a brand account posts them on X.
+
+Tweet: "${tweetText}"
+Reply: "${reply}"
+
+Score the reply from 1 to 10. Give a low score if it is offensive, off-topic, makes factual claims that may be false, sounds like a bot, or could embarrass the account. Answer with the number only.`;
+
+  const result = await generateWithProvider(prompt, settings, timeoutMs);
+  const score = parseInt(result.text.match(/\d+/)?.[0], 10);
+  return isNaN(score) ? 0 : score;
+}
+
+// { approved, reason, score } for a cleaned-up reply
+async function moderateReply(reply, details, settings, timeoutMs = 5000) {
+  const config = getModerationConfig(settings);
+
+  const reason = checkReplyLocally(reply, details, config);
+  if (reason) return { approved: false, reason, score: null };
+
+  if (!config.moderationModelCheck) {
+    return { approved: true, reason: "", score: null };
+  }
+
+  // If the scoring call itself fails we don't know, so we don't post
+  try {
+    const score = await scoreReplyWithModel(
+      reply,
+      details.tweetText,
+      settings,
+      timeoutMs
+    );
+    if (score < config.moderationMinScore) {
+      return {
+        approved: false,
+        reason: `moderation score ${score} below ${config.moderationMinScore}`,
+        score,
+      };
+    }
+    return { approved: true, reason: "", score };
+  } catch (error) {
+    return {
+      approved: false,
+      reason: `moderation check failed: ${error.message}`,
+      score: null,
+    };
+  }
+}
@@ -1,32 +1,95 @@
+// Persona templates being edited; saved with the rest of the settings
+let promptTemplates = [];
+let editingTemplateId = null;
+// Schedule windows being edited; saved with the rest of the settings
+let scheduleWindows = [];
+// Rate limits per provider; the inputs show the selected provider's
+let rateLimits = {};
+let rateLimitProvider = "";
+// Fallback replies being edited; saved with the rest of the settings
+let fallbackReplies = [];
+// The stored API key as last shown, so Save only rewrites it when it changed
+let loadedApiKey = "";
+
+const API_KEY_TEST_RESULTS = {
+  valid: "Valid",
+  invalid: "Invalid",
+  quota: "Quota exhausted",
+  error: "Couldn't test the key",
+};
+
 document.addEventListener("DOMContentLoaded", function () {
-  // Load saved settings
-  chrome.storage.sync.get(
-    [
-      "groqApiKey",
-      "groqModel",
-      "enableLiking",
-      "enableCommenting",
-      "automationEnabled",
-    ],
-    function (items) {
-      // Set values for input fields, using saved settings or defaults
-      document.getElementById("groqApiKey").value = items.groqApiKey || "";
-      document.getElementById("groqModel").value =
-        items.groqModel || "llama-3.3-70b-versatile";
-      // document.getElementById('keywords').value = items.keywords || '';
-      // document.getElementById('minDelay').value = items.minDelay || 5;
-      // document.getElementById('maxDelay').value = items.maxDelay || 15;
-      document.getElementById("enableLiking").checked =
-        items.enableLiking !== false; // Default to true if not set
-      document.getElementById("enableCommenting").checked =
-        items.enableCommenting !== false; // Default to true if not set
-      document.getElementById("automationToggle").checked =
-        items.automationEnabled || false; // Default to false
-
-      // Update the visual status of the automation toggle
-      updateToggleStatus(items.automationEnabled || false);
+  // Build the targeting forms before settings are filled in
+  createRuleFields("likeRules");
+  createRuleFields("replyRules");
+  createTopicFields();
+  createLanguageFields();
+  createTimezoneOptions();
+  createFallbackPolicyOptions();
+  updateRuleDecisions();
+
+  // The API key is stored apart from the settings
+  updateApiKeyFields();
+
+  // Load saved settings, already migrated and filled with defaults
+  loadSettings().then(function (items) {
+    // Set values for input fields, using saved settings or defaults
+    const { provider, model } = parseModelChoice(items);
+    document.getElementById("groqModel").value =
+      provider === "local" ? "local" : `${provider}:${model}`;
+    document.getElementById("localEndpoint").value = items.localEndpoint;
+    document.getElementById("localModel").value = items.localModel;
+    rateLimits = structuredClone(items.rateLimits);
+    updateProviderFields();
+
+    // Targeting rules, one set for likes and one for replies
+    fillRuleFields("likeRules", items.likeRules);
+    fillRuleFields("replyRules", items.replyRules);
+    fillTopicFields(getClassifierConfig(items));
+    fillLanguageFields(items.replyLanguages);
+
+    // Working windows are edited in memory until Save Settings
+    document.getElementById("scheduleEnabled").checked = items.scheduleEnabled;
+    document.getElementById("scheduleTimezone").value = items.scheduleTimezone;
+    scheduleWindows = structuredClone(items.scheduleWindows);
+    renderScheduleWindows();
+    updateNextWindow(items);
+
+    // Fallback replies are edited in memory until Save Settings
+    document.getElementById("fallbackPolicy").value = items.fallbackPolicy;
+    fallbackReplies = structuredClone(items.fallbackReplies);
+    renderFallbackReplies();
+
+    // Persona templates are edited in memory until Save Settings
+    promptTemplates = JSON.parse(JSON.stringify(getPromptTemplates(items)));
+    renderTemplateOptions(getActivePromptTemplate(items).id);
+    // document.getElementById('minDelay').value = items.minDelay || 5;
+    // document.getElementById('maxDelay').value = items.maxDelay || 15;
+    document.getElementById("enableLiking").checked = items.enableLiking;
+    document.getElementById("enableCommenting").checked =
+      items.enableCommenting;
+    document.getElementById("draftMode").checked = items.draftMode;
+    document.getElementById("dryRun").checked = items.dryRun;
+
+    // Budget limits, reply safety and reply cache settings
+    for (const key of [
+      ...Object.keys(BUDGET_DEFAULTS),
+      ...Object.keys(MODERATION_DEFAULTS),
+      ...Object.keys(REPLY_CACHE_DEFAULTS),
+    ]) {
+      const input = document.getElementById(key);
+      if (input.type === "checkbox") {
+        input.checked = items[key];
+      } else {
+        input.value = items[key];
+      }
     }
-  );
+  });
+
+  // The background controller owns the automation state; keep the toggle
+  // and the per-tab list current while the popup is open
+  updateAutomationStatus();
+  setInterval(updateAutomationStatus, 2000);
 
   // Save settings when the save button is clicked
   document
@@ -34,20 +97,43 @@ document.addEventListener("DOMContentLoaded", function () {
     .addEventListener("click", function () {
       // Gather all settings from the input fields
       const settings = {
-        groqApiKey: document.getElementById("groqApiKey").value,
         groqModel: document.getElementById("groqModel").value,
-        // keywords: document.getElementById('keywords').value,
+        localEndpoint: document.getElementById("localEndpoint").value.trim(),
+        localModel: document.getElementById("localModel").value.trim(),
+        rateLimits: readRateLimitFields(),
         // minDelay: parseInt(document.getElementById('minDelay').value), // Convert to integer
         // maxDelay: parseInt(document.getElementById('maxDelay').value), // Convert to integer
         enableLiking: document.getElementById("enableLiking").checked,
         enableCommenting: document.getElementById("enableCommenting").checked,
-        automationEnabled: document.getElementById("automationToggle").checked,
+        draftMode: document.getElementById("draftMode").checked,
+        dryRun: document.getElementById("dryRun").checked,
+        likeRules: readRuleFields("likeRules"),
+        replyRules: readRuleFields("replyRules"),
+        ...readTopicFields(),
+        replyLanguages: readLanguageFields(),
+        scheduleEnabled: document.getElementById("scheduleEnabled").checked,
+        scheduleTimezone: document
+          .getElementById("scheduleTimezone")
+          .value.trim(),
+        scheduleWindows,
+        fallbackPolicy: document.getElementById("fallbackPolicy").value,
+        fallbackReplies,
+        promptTemplates: readTemplateEditor(),
+        activeTemplateId: document.getElementById("activeTemplate").value,
       };
-
-      // Validate settings before saving
-      if (!settings.groqApiKey) {
-        showStatus("Please enter your Groq API key", false);
-        return; // Stop if validation fails
+      for (const key of Object.keys(BUDGET_DEFAULTS)) {
+        settings[key] = parseInt(document.getElementById(key).value, 10) || 0;
+      }
+      const defaults = { ...MODERATION_DEFAULTS, ...REPLY_CACHE_DEFAULTS };
+      for (const key of Object.keys(defaults)) {
+        const input = document.getElementById(key);
+        if (input.type === "checkbox") {
+          settings[key] = input.checked;
+        } else if (input.type === "number") {
+          settings[key] = parseInt(input.value, 10) || defaults[key];
+        } else {
+          settings[key] = input.value.trim();
+        }
       }
 
       // if (settings.minDelay >= settings.maxDelay) {
@@ -55,33 +141,168 @@ document.addEventListener("DOMContentLoaded", function () {
       //     return; // Stop if validation fails
       // }
 
-      // Save validated settings to Chrome's synchronized storage
-      chrome.storage.sync.set(settings, function () {
-        showStatus("Settings saved successfully!", true);
+      // Access to the endpoint and the key go first, since the selected
+      // provider needs them. The schema validates the rest; tabs and the
+      // background pick the change up from storage.
+      requestEndpointPermission(settings)
+        .then((errors) =>
+          errors.length > 0
+            ? errors
+            : saveApiKeyFields().then(() => getApiKeyErrors(settings))
+        )
+        .then((errors) =>
+          errors.length > 0 ? { errors } : saveSettings(settings)
+        )
+        .then(({ errors }) => {
+          showSettingsErrors(errors);
+          if (errors.length === 0) {
+            showStatus("Settings saved successfully!", true);
+            loadSettings().then(updateNextWindow);
+          }
+        })
+        // Long persona templates can run into the sync per-item quota
+        .catch((error) => showStatus(error.message, false));
+    });
+
+  document
+    .getElementById("unlockApiKey")
+    .addEventListener("click", function () {
+      unlockApiKey(document.getElementById("apiKeyPassphrase").value)
+        .then(() => {
+          document.getElementById("apiKeyPassphrase").value = "";
+          showStatus("API key unlocked", true);
+          return updateApiKeyFields();
+        })
+        .catch((error) => showStatus(error.message, false));
+    });
 
-        // Notify the background script that settings have been updated
-        chrome.runtime.sendMessage({
-          type: "settingsUpdated",
-          settings: settings,
-        });
+  // Tests what is in the fields, before it is saved
+  document.getElementById("testApiKey").addEventListener("click", function () {
+    const status = document.getElementById("apiKeyStatus");
+    const settings = {
+      groqModel: document.getElementById("groqModel").value,
+      localEndpoint: document.getElementById("localEndpoint").value.trim(),
+      localModel: document.getElementById("localModel").value.trim(),
+    };
+    status.textContent = "Testing the key...";
+    requestEndpointPermission(settings)
+      .then((errors) =>
+        errors.length > 0
+          ? { result: "error", message: errors[0].message }
+          : chrome.runtime.sendMessage({
+              type: "testApiKey",
+              apiKey: document.getElementById("groqApiKey").value.trim(),
+              settings,
+            })
+      )
+      .then(({ result, message }) => {
+        status.textContent = `${API_KEY_TEST_RESULTS[result]}: ${message}`;
       });
+  });
+
+  document
+    .getElementById("addScheduleWindow")
+    .addEventListener("click", function () {
+      scheduleWindows.push(createScheduleWindow());
+      renderScheduleWindows();
+    });
+
+  document
+    .getElementById("addFallbackReply")
+    .addEventListener("click", function () {
+      fallbackReplies.push(createFallbackReply());
+      renderFallbackReplies();
+    });
+
+  // Show current budget usage and why automation last stopped, if it did
+  updateBudgetStatus();
+
+  // Show how many drafts are waiting and open the review page on demand
+  updateReviewCount();
+  document.getElementById("openReview").addEventListener("click", function () {
+    chrome.tabs.create({ url: chrome.runtime.getURL("review.html") });
+  });
+  document
+    .getElementById("openDashboard")
+    .addEventListener("click", function () {
+      chrome.tabs.create({ url: chrome.runtime.getURL("dashboard.html") });
+    });
+
+  // Persona template editor
+  document
+    .getElementById("activeTemplate")
+    .addEventListener("change", function (e) {
+      readTemplateEditor();
+      showTemplate(e.target.value);
+    });
+  document
+    .getElementById("templateName")
+    .addEventListener("input", function (e) {
+      const select = document.getElementById("activeTemplate");
+      select.options[select.selectedIndex].textContent = e.target.value;
+    });
+  document.getElementById("newTemplate").addEventListener("click", function () {
+    readTemplateEditor();
+    const template = {
+      id: `template_${Date.now()}`,
+      name: "New persona",
+      maxLength: 150,
+      contextBudget: DEFAULT_CONTEXT_BUDGET,
+      bannedWords: "",
+      template: 'Reply to: "{{tweet}}" by {{author}} in {{language}}.',
+    };
+    promptTemplates.push(template);
+    renderTemplateOptions(template.id);
+  });
+  document
+    .getElementById("deleteTemplate")
+    .addEventListener("click", function () {
+      if (promptTemplates.length <= 1) {
+        showStatus("Keep at least one template", false);
+        return;
+      }
+      const id = document.getElementById("activeTemplate").value;
+      promptTemplates = promptTemplates.filter((t) => t.id !== id);
+      renderTemplateOptions(promptTemplates[0].id);
+    });
+  document
+    .getElementById("previewPrompt")
+    .addEventListener("click", function () {
+      readTemplateEditor();
+      const id = document.getElementById("activeTemplate").value;
+      const template = promptTemplates.find((t) => t.id === id);
+      document.getElementById("promptPreview").textContent = renderPrompt(
+        template,
+        {
+          tweet: document.getElementById("sampleTweet").value,
+          author: "@sample_user",
+          thread: "",
+          language: getLanguageName(
+            detectLanguage(document.getElementById("sampleTweet").value)
+          ),
+        }
+      );
     });
 
+  // Local endpoint fields only matter for the local provider
+  document
+    .getElementById("groqModel")
+    .addEventListener("change", updateProviderFields);
+
   // Handle changes to the automation toggle
   document
     .getElementById("automationToggle")
     .addEventListener("change", function (e) {
-      const isEnabled = e.target.checked; // Get the current state of the toggle
-      updateToggleStatus(isEnabled); // Update visual status
-
-      // Save the automation enabled state to Chrome's synchronized storage
-      chrome.storage.sync.set({ automationEnabled: isEnabled }, function () {
-        // Notify the background script about the automation toggle change
-        chrome.runtime.sendMessage({
-          type: "automationToggle",
-          enabled: isEnabled,
-        });
-      });
+      // Switching back on clears the last budget stop
+      if (e.target.checked) {
+        document.getElementById("stopReason").style.display = "none";
+      }
+      setAutomationMode(e.target.checked ? "on" : "off");
+    });
+  document
+    .getElementById("pauseAutomation")
+    .addEventListener("click", function (e) {
+      setAutomationMode(e.target.textContent === "Pause" ? "paused" : "on");
     });
 });
 
@@ -98,10 +319,578 @@ function showStatus(message, isSuccess) {
   }, 3000);
 }
 
-// Function to update the visual text and color for the automation toggle status
-function updateToggleStatus(enabled) {
-  document.getElementById("toggleStatus").textContent = enabled ? "On" : "Off"; // Set text to 'On' or 'Off'
-  document.getElementById("toggleStatus").style.color = enabled
-    ? "#1da1f2"
-    : "#666"; // Set color (blue for 'On', grey for 'Off')
+// Function to mark invalid fields and show what is wrong with them
+function showSettingsErrors(errors) {
+  for (const field of document.querySelectorAll(".invalid")) {
+    field.classList.remove("invalid");
+  }
+  for (const { key } of errors) {
+    document.getElementById(key)?.classList.add("invalid");
+  }
+  if (errors.length > 0) {
+    showStatus(errors.map((error) => error.message).join("\n"), false);
+  }
+}
+
+// Function to ask the background controller to switch every tab
+async function setAutomationMode(mode) {
+  const response = await chrome.runtime.sendMessage({
+    type: "setAutomation",
+    mode,
+  });
+  if (response.error) showStatus(response.error, false);
+  updateAutomationStatus();
+}
+
+// Function to show the controller's mode and what each X tab is doing
+async function updateAutomationStatus() {
+  const status = await chrome.runtime.sendMessage({
+    type: "getAutomationStatus",
+  });
+  updateToggleStatus(status.mode);
+
+  // A tab pauses automation itself when X's page stops matching selectors
+  const pauseReason = document.getElementById("pauseReason");
+  pauseReason.textContent =
+    status.mode === "paused" && status.reason
+      ? `Automation paused: ${status.reason}`
+      : "";
+  pauseReason.style.display = pauseReason.textContent ? "block" : "none";
+
+  const container = document.getElementById("tabStatus");
+  container.textContent = status.tabs.length ? "" : "No X tabs open.";
+  for (const tab of status.tabs) {
+    const row = document.createElement("div");
+    row.className = "tab-status";
+
+    const title = document.createElement("span");
+    title.textContent = tab.title;
+    const state = document.createElement("span");
+    state.className = `state-${tab.state}`;
+    state.textContent = tab.state.replace("_", " ");
+    state.title = tab.error;
+    const lastAction = document.createElement("span");
+    lastAction.textContent = tab.lastActionAt
+      ? new Date(tab.lastActionAt).toLocaleTimeString()
+      : "no actions";
+
+    // The runner is marked; any other tab can take over
+    const runner = document.createElement("button");
+    runner.className = "small-button";
+    runner.textContent = tab.isRunner ? "Runner" : "Run here";
+    runner.disabled = tab.isRunner;
+    runner.addEventListener("click", async function () {
+      await chrome.runtime.sendMessage({
+        type: "setRunnerTab",
+        tabId: tab.tabId,
+      });
+      updateAutomationStatus();
+    });
+
+    row.append(title, state, lastAction, runner);
+    container.appendChild(row);
+  }
+}
+
+// Function to update the toggle, its label and the pause button for a mode
+function updateToggleStatus(mode) {
+  const labels = { on: "On", paused: "Paused", off: "Off" };
+  document.getElementById("automationToggle").checked = mode !== "off";
+  document.getElementById("toggleStatus").textContent = labels[mode];
+  document.getElementById("toggleStatus").style.color =
+    mode === "on" ? "#1da1f2" : "#666"; // Blue for 'On', grey otherwise
+
+  const pauseButton = document.getElementById("pauseAutomation");
+  pauseButton.textContent = mode === "paused" ? "Resume" : "Pause";
+  pauseButton.disabled = mode === "off";
+}
+
+// Function to show the local endpoint fields when the local provider is picked
+function updateProviderFields() {
+  const groqModel = document.getElementById("groqModel").value;
+  document.getElementById("localFields").style.display =
+    groqModel === "local" ? "flex" : "none";
+
+  // Keep what was typed for the previous provider, then show this one's
+  readRateLimitFields();
+  rateLimitProvider = parseModelChoice({ groqModel }).provider;
+  const limit = getProviderRateLimit(rateLimitProvider, { rateLimits });
+  document.getElementById("rateLimitRequests").value = limit.requestsPerMinute;
+  document.getElementById("rateLimitTokens").value = limit.tokensPerMinute;
+}
+
+// Function to show the stored API key, or that it waits to be unlocked
+async function updateApiKeyFields() {
+  const { key, locked, encrypted } = await getApiKeyStatus();
+  loadedApiKey = key;
+  document.getElementById("groqApiKey").value = key;
+  document.getElementById("unlockApiKey").style.display = locked ? "" : "none";
+
+  let message = "";
+  if (locked) {
+    message = "The key is encrypted. Enter the passphrase and unlock it.";
+  } else if (encrypted) {
+    message = "The key is encrypted and unlocked until the browser closes.";
+  } else if (key) {
+    message = "The key is stored on this device only.";
+  }
+  document.getElementById("apiKeyStatus").textContent = message;
+}
+
+// Function to save the API key field, encrypted when there is a passphrase.
+// A locked key is kept until it is unlocked or replaced.
+async function saveApiKeyFields() {
+  const apiKey = document.getElementById("groqApiKey").value.trim();
+  const passphrase = document.getElementById("apiKeyPassphrase").value;
+  const { locked } = await loadApiKey();
+  if ((locked && !apiKey) || (apiKey === loadedApiKey && !passphrase)) return;
+
+  await saveApiKey(apiKey, passphrase);
+  document.getElementById("apiKeyPassphrase").value = "";
+  await updateApiKeyFields();
+}
+
+// Function to ask for access to a local endpoint the manifest doesn't
+// cover, like a server elsewhere on the network. It has to be called before
+// anything is awaited, while the click still counts as a user gesture.
+function requestEndpointPermission(settings) {
+  if (settings.groqModel !== "local" || !isHttpUrl(settings.localEndpoint)) {
+    return Promise.resolve([]);
+  }
+
+  const { protocol, hostname } = new URL(settings.localEndpoint);
+  const origin = `${protocol}//${hostname}/*`;
+  if (chrome.runtime.getManifest().host_permissions.includes(origin)) {
+    return Promise.resolve([]);
+  }
+  return chrome.permissions.request({ origins: [origin] }).then((granted) =>
+    granted
+      ? []
+      : [
+          {
+            key: "localEndpoint",
+            message: `ReplyX needs access to ${hostname} to use this endpoint`,
+          },
+        ]
+  );
+}
+
+// Providers that need a key can't be selected without one
+async function getApiKeyErrors(settings) {
+  const { provider } = parseModelChoice(settings);
+  const { key, locked } = await loadApiKey();
+  if (!PROVIDERS[provider].requiresKey || key || locked) return [];
+  return [
+    {
+      key: "groqApiKey",
+      message: `Please enter your ${PROVIDERS[provider].label} API key`,
+    },
+  ];
+}
+
+function readRateLimitFields() {
+  if (rateLimitProvider) {
+    rateLimits[rateLimitProvider] = {
+      requestsPerMinute:
+        parseInt(document.getElementById("rateLimitRequests").value, 10) || 0,
+      tokensPerMinute:
+        parseInt(document.getElementById("rateLimitTokens").value, 10) || 0,
+    };
+  }
+  return rateLimits;
+}
+
+// Function to show the number of drafts waiting in the review queue
+async function updateReviewCount() {
+  const drafts = await getDrafts();
+  document.getElementById(
+    "openReview"
+  ).textContent = `Review Queue (${drafts.length})`;
+}
+
+// Function to show budget usage and the last budget stop reason
+async function updateBudgetStatus() {
+  const usage = await getBudgetUsage();
+  document.getElementById("budgetUsage").textContent =
+    `Last hour: ${usage.like.hour} likes, ${usage.reply.hour} replies · ` +
+    `Last 24h: ${usage.like.day} likes, ${usage.reply.day} replies`;
+
+  const { automationStopReason } = await chrome.storage.local.get(
+    "automationStopReason"
+  );
+  if (automationStopReason) {
+    const stopReason = document.getElementById("stopReason");
+    stopReason.textContent = `Automation stopped: ${
+      automationStopReason.reason
+    } at ${new Date(automationStopReason.at).toLocaleTimeString()}`;
+    stopReason.style.display = "block";
+  }
+}
+
+// Function to build the targeting inputs for one rule set
+function createRuleFields(prefix) {
+  const container = document.getElementById(`${prefix}Fields`);
+  container.innerHTML = `
+    <label for="${prefix}_includeKeywords">Include keywords or /regex/</label>
+    <textarea id="${prefix}_includeKeywords" rows="2"></textarea>
+    <label for="${prefix}_excludeKeywords">Exclude keywords or /regex/</label>
+    <textarea id="${prefix}_excludeKeywords" rows="2"></textarea>
+    <label for="${prefix}_allowAuthors">Only these authors</label>
+    <input type="text" id="${prefix}_allowAuthors" placeholder="@handle, @other" />
+    <label for="${prefix}_denyAuthors">Never these authors</label>
+    <input type="text" id="${prefix}_denyAuthors" placeholder="@handle, @other" />
+    <label for="${prefix}_tweetType">Tweet type</label>
+    <select id="${prefix}_tweetType">
+      <option value="all">Originals and replies</option>
+      <option value="originals">Originals only</option>
+      <option value="replies">Replies only</option>
+    </select>
+    <div class="budget-grid">
+      <label for="${prefix}_minLength">Min length</label>
+      <input type="number" id="${prefix}_minLength" min="0" />
+      <label for="${prefix}_maxLength">Max length (0 = any)</label>
+      <input type="number" id="${prefix}_maxLength" min="0" />
+    </div>
+    <div class="checkbox-field">
+      <input type="checkbox" id="${prefix}_skipPromoted" />
+      <label for="${prefix}_skipPromoted">Skip promoted tweets</label>
+    </div>
+  `;
+}
+
+function fillRuleFields(prefix, rules) {
+  const config = { ...RULE_DEFAULTS, ...rules };
+  for (const key of Object.keys(RULE_DEFAULTS)) {
+    const input = document.getElementById(`${prefix}_${key}`);
+    if (input.type === "checkbox") {
+      input.checked = config[key];
+    } else {
+      input.value = config[key];
+    }
+  }
+}
+
+function readRuleFields(prefix) {
+  const rules = {};
+  for (const key of Object.keys(RULE_DEFAULTS)) {
+    const input = document.getElementById(`${prefix}_${key}`);
+    if (input.type === "checkbox") {
+      rules[key] = input.checked;
+    } else if (input.type === "number") {
+      rules[key] = parseInt(input.value, 10) || 0;
+    } else {
+      rules[key] = input.value.trim();
+    }
+  }
+  return rules;
+}
+
+// One row per topic category with a reply and a like checkbox
+function createTopicFields() {
+  const container = document.getElementById("topicFields");
+  container.append(
+    document.createElement("span"),
+    Object.assign(document.createElement("span"), { textContent: "Reply" }),
+    Object.assign(document.createElement("span"), { textContent: "Like" })
+  );
+
+  for (const [category, { label }] of Object.entries(TOPIC_CATEGORIES)) {
+    const name = document.createElement("span");
+    name.textContent = label;
+    container.appendChild(name);
+
+    for (const action of ["reply", "like"]) {
+      const input = document.createElement("input");
+      input.type = "checkbox";
+      input.id = `topic_${action}_${category}`;
+      container.appendChild(input);
+    }
+  }
+}
+
+function fillTopicFields(config) {
+  for (const category of Object.keys(TOPIC_CATEGORIES)) {
+    document.getElementById(`topic_reply_${category}`).checked =
+      config.skipReplyCategories.includes(category);
+    document.getElementById(`topic_like_${category}`).checked =
+      config.skipLikeCategories.includes(category);
+  }
+  document.getElementById("classifierModelCheck").checked =
+    config.classifierModelCheck;
+}
+
+function readTopicFields() {
+  const checked = (action) =>
+    Object.keys(TOPIC_CATEGORIES).filter(
+      (category) =>
+        document.getElementById(`topic_${action}_${category}`).checked
+    );
+  return {
+    skipReplyCategories: checked("reply"),
+    skipLikeCategories: checked("like"),
+    classifierModelCheck: document.getElementById("classifierModelCheck")
+      .checked,
+  };
+}
+
+function createLanguageFields() {
+  const container = document.getElementById("languageFields");
+  for (const [code, name] of Object.entries(LANGUAGES)) {
+    const field = document.createElement("div");
+    field.className = "checkbox-field";
+
+    const input = document.createElement("input");
+    input.type = "checkbox";
+    input.id = `lang_${code}`;
+    const label = document.createElement("label");
+    label.htmlFor = input.id;
+    label.textContent = name;
+
+    field.append(input, label);
+    container.appendChild(field);
+  }
+}
+
+function fillLanguageFields(replyLanguages) {
+  for (const code of Object.keys(LANGUAGES)) {
+    document.getElementById(`lang_${code}`).checked =
+      replyLanguages.includes(code);
+  }
+}
+
+function readLanguageFields() {
+  return Object.keys(LANGUAGES).filter(
+    (code) => document.getElementById(`lang_${code}`).checked
+  );
+}
+
+function createTimezoneOptions() {
+  const datalist = document.getElementById("timezoneOptions");
+  for (const timeZone of Intl.supportedValuesOf("timeZone")) {
+    const option = document.createElement("option");
+    option.value = timeZone;
+    datalist.appendChild(option);
+  }
+}
+
+function createFallbackPolicyOptions() {
+  const select = document.getElementById("fallbackPolicy");
+  for (const [value, label] of Object.entries(FALLBACK_POLICIES)) {
+    select.add(new Option(label, value));
+  }
+}
+
+// One row per fallback reply; inputs write straight into fallbackReplies
+function renderFallbackReplies() {
+  const container = document.getElementById("fallbackReplies");
+  container.textContent = fallbackReplies.length
+    ? ""
+    : "No fallback replies yet.";
+
+  fallbackReplies.forEach((fallbackReply, index) => {
+    const row = document.createElement("div");
+    row.className = "fallback-reply";
+
+    const text = document.createElement("input");
+    text.type = "text";
+    text.value = fallbackReply.text;
+    text.placeholder = "Reply text";
+    text.addEventListener("change", () => {
+      fallbackReply.text = text.value.trim();
+    });
+    const maxPerDay = document.createElement("input");
+    maxPerDay.type = "number";
+    maxPerDay.min = "0";
+    maxPerDay.value = fallbackReply.maxPerDay;
+    maxPerDay.title = "Uses per day (0 = no cap)";
+    maxPerDay.addEventListener("change", () => {
+      fallbackReply.maxPerDay = parseInt(maxPerDay.value, 10) || 0;
+    });
+    const remove = document.createElement("button");
+    remove.textContent = "Remove";
+    remove.addEventListener("click", () => {
+      fallbackReplies.splice(index, 1);
+      renderFallbackReplies();
+    });
+
+    row.append(text, maxPerDay, "/ day", remove);
+    container.appendChild(row);
+  });
+}
+
+// One row per window; inputs write straight into scheduleWindows
+function renderScheduleWindows() {
+  const container = document.getElementById("scheduleWindows");
+  container.textContent = scheduleWindows.length ? "" : "No windows yet.";
+
+  scheduleWindows.forEach((scheduleWindow, index) => {
+    const row = document.createElement("div");
+    row.className = "schedule-window";
+
+    const days = document.createElement("div");
+    days.className = "schedule-days";
+    WEEKDAY_NAMES.forEach((name, day) => {
+      const input = document.createElement("input");
+      input.type = "checkbox";
+      input.id = `${scheduleWindow.id}_day${day}`;
+      input.checked = scheduleWindow.days.includes(day);
+      input.addEventListener("change", () => {
+        scheduleWindow.days = input.checked
+          ? [...scheduleWindow.days, day].sort()
+          : scheduleWindow.days.filter((value) => value !== day);
+      });
+      const label = document.createElement("label");
+      label.htmlFor = input.id;
+      label.textContent = name;
+      days.append(input, label);
+    });
+
+    const times = document.createElement("div");
+    times.className = "schedule-times";
+    const timeInput = (key) => {
+      const input = document.createElement("input");
+      input.type = "time";
+      input.value = scheduleWindow[key];
+      input.addEventListener("change", () => {
+        scheduleWindow[key] = input.value;
+      });
+      return input;
+    };
+    const maxRun = document.createElement("input");
+    maxRun.type = "number";
+    maxRun.min = "0";
+    maxRun.value = scheduleWindow.maxRunMinutes;
+    maxRun.title = "Max run length in minutes";
+    maxRun.addEventListener("change", () => {
+      scheduleWindow.maxRunMinutes = parseInt(maxRun.value, 10) || 0;
+    });
+    const remove = document.createElement("button");
+    remove.textContent = "Remove";
+    remove.addEventListener("click", () => {
+      scheduleWindows.splice(index, 1);
+      renderScheduleWindows();
+    });
+    times.append(
+      timeInput("start"),
+      "to",
+      timeInput("end"),
+      "max",
+      maxRun,
+      "min",
+      remove
+    );
+
+    row.append(days, times);
+    container.appendChild(row);
+  });
+}
+
+// From the saved schedule, which is what the background runs on
+function updateNextWindow(settings) {
+  const element = document.getElementById("nextWindow");
+  const { scheduleEnabled, scheduleWindows, scheduleTimezone } = settings;
+  if (!scheduleEnabled) {
+    element.textContent = "Schedule is off.";
+    return;
+  }
+
+  const active = getActiveScheduleWindow(scheduleWindows, scheduleTimezone);
+  const next = getNextScheduleWindow(scheduleWindows, scheduleTimezone);
+  if (active) {
+    element.textContent = `Window open now: ${formatScheduleWindow(
+      active,
+      scheduleTimezone
+    )}`;
+  } else if (next) {
+    element.textContent = `Next window: ${formatScheduleWindow(
+      next,
+      scheduleTimezone
+    )}`;
+  } else {
+    element.textContent = "No window in the next 7 days.";
+  }
+}
+
+// Function to list which rule matched or blocked the latest tweets
+async function updateRuleDecisions() {
+  const items = await chrome.storage.local.get(RULE_DECISIONS_KEY);
+  const decisions = items[RULE_DECISIONS_KEY] || [];
+  const container = document.getElementById("ruleDecisions");
+
+  container.textContent = decisions.length ? "" : "No tweets evaluated yet.";
+  for (const decision of decisions) {
+    const row = document.createElement("div");
+    row.className = "decision";
+
+    const tweet = document.createElement("div");
+    tweet.textContent = `@${decision.author}: ${decision.text}`;
+    row.appendChild(tweet);
+
+    if (decision.tags) {
+      const tags = document.createElement("div");
+      tags.textContent = `topics: ${
+        decision.tags.categories.join(", ") || "none"
+      } · sentiment: ${decision.tags.sentiment}`;
+      row.appendChild(tags);
+    }
+
+    for (const action of ["like", "reply"]) {
+      const result = document.createElement("div");
+      result.className = decision[action].allowed ? "" : "blocked";
+      result.textContent = `${action}: ${
+        decision[action].allowed ? "allowed" : "blocked"
+      } - ${decision[action].rule}`;
+      row.appendChild(result);
+    }
+    container.appendChild(row);
+  }
+}
+
+// Function to fill the template dropdown and show one template
+function renderTemplateOptions(selectedId) {
+  const select = document.getElementById("activeTemplate");
+  select.textContent = "";
+  for (const template of promptTemplates) {
+    const option = document.createElement("option");
+    option.value = template.id;
+    option.textContent = template.name;
+    select.appendChild(option);
+  }
+  select.value = selectedId;
+  showTemplate(selectedId);
+}
+
+function showTemplate(id) {
+  const template = promptTemplates.find((t) => t.id === id);
+  editingTemplateId = id;
+  document.getElementById("templateName").value = template.name;
+  document.getElementById("templateText").value = template.template;
+  document.getElementById("templateMaxLength").value = template.maxLength;
+  document.getElementById("templateContextBudget").value =
+    template.contextBudget ?? DEFAULT_CONTEXT_BUDGET;
+  document.getElementById("templateBannedWords").value = template.bannedWords;
+  document.getElementById("promptPreview").textContent = "";
+}
+
+// Copy the editor fields back into the template being edited
+function readTemplateEditor() {
+  const template = promptTemplates.find((t) => t.id === editingTemplateId);
+  if (template) {
+    template.name =
+      document.getElementById("templateName").value.trim() || "Untitled";
+    template.template = document.getElementById("templateText").value;
+    template.maxLength =
+      parseInt(document.getElementById("templateMaxLength").value, 10) || 150;
+    template.contextBudget = parseInt(
+      document.getElementById("templateContextBudget").value,
+      10
+    );
+    if (isNaN(template.contextBudget)) {
+      template.contextBudget = DEFAULT_CONTEXT_BUDGET;
+    }
+    template.bannedWords = document
+      .getElementById("templateBannedWords")
+      .value.trim();
+  }
+  return promptTemplates;
 }
@@ -0,0 +1,141 @@
+// prompts.js - named persona / prompt templates
+//
+// Templates live in chrome.storage.sync (promptTemplates + activeTemplateId)
+// and are shared by background.js and the popup editor. Placeholders:
+// {{tweet}}, {{author}}, {{thread}} and {{language}}.
+
+const PROMPT_PLACEHOLDERS = ["tweet", "author", "thread", "language"];
+const DEFAULT_CONTEXT_BUDGET = 600; // characters, roughly 150 tokens
+
+const DEFAULT_PROMPT_TEMPLATES = [
+  {
+    id: "casual-dev",
+    name: "Casual dev",
+    maxLength: 150,
+    contextBudget: DEFAULT_CONTEXT_BUDGET,
+    bannedWords: "",
+    template: `Reply to: "{{tweet}}" sounds like a casual conversation, with human-like imperfections. 
+    Use short sentences, include some grammatical mistakes, and avoid over-polishing the text. Keep it punchy, natural, and easy to read. 
+    Instead, turn it into a short, engaging post that sounds human — with personality, storytelling, and light informality.
+
+Follow this style:
+
+Start with a bold or emotional hook
+
+Add personal perspective or a lesson learned
+
+Use first-person tone (“I”, “we”, “you”)
+
+drops the “marketing” tone
+
+sounds casual and personal
+
+uses short sentence mix
+
+feels like a dev just sharing something they found cool
+
+use phrases like:
+
+“from what I saw…”
+
+“seems like…”
+
+“what caught my attention was…”
+
+“one weird thing I noticed…”
+
+sound more casual, less “excited”. Keep it short like 8-11 words. don't over-polish.`,
+  },
+];
+
+function getPromptTemplates(settings) {
+  const templates = settings.promptTemplates;
+  return templates && templates.length ? templates : DEFAULT_PROMPT_TEMPLATES;
+}
+
+function getActivePromptTemplate(settings) {
+  const templates = getPromptTemplates(settings);
+  return (
+    templates.find((template) => template.id === settings.activeTemplateId) ||
+    templates[0]
+  );
+}
+
+function parseBannedWords(template) {
+  return (template.bannedWords || "")
+    .split(/[\n,]/)
+    .map((word) => word.trim())
+    .filter(Boolean);
+}
+
+function formatAuthor(author) {
+  if (!author) return "";
+  if (author.name && author.handle) return `${author.name} (@${author.handle})`;
+  return author.handle ? `@${author.handle}` : author.name || "";
+}
+
+// Thread, quote and image context from tweet_context.js as prompt text.
+// Lines are taken by priority (quote, nearest parent first, images) until
+// the character budget runs out, so the oldest parents are dropped first.
+function formatTweetContext(context, budget = DEFAULT_CONTEXT_BUDGET) {
+  if (!context) return "";
+
+  let remaining = budget;
+  const take = (line) => {
+    if (remaining < 40) return null;
+    const text =
+      line.length > remaining ? line.substring(0, remaining - 1) + "…" : line;
+    remaining -= text.length + 1;
+    return text;
+  };
+
+  const quote = context.quoted?.text
+    ? take(
+        `Quoted tweet from ${formatAuthor(context.quoted.author)}: ${
+          context.quoted.text
+        }`
+      )
+    : null;
+
+  const parents = [];
+  for (const parent of [...(context.parents || [])].reverse()) {
+    const line = take(`${formatAuthor(parent.author)}: ${parent.text}`);
+    if (!line) break;
+    parents.unshift(line);
+  }
+
+  const images = context.images?.length
+    ? take(`Images: ${context.images.join("; ")}`)
+    : null;
+
+  return [
+    parents.length ? `Earlier in the thread:\n${parents.join("\n")}` : "",
+    quote,
+    images,
+  ]
+    .filter(Boolean)
+    .join("\n");
+}
+
+// Fill the placeholders and append the template's banned words, if any.
+// Templates that don't place {{thread}} or {{language}} themselves get
+// them appended.
+function renderPrompt(template, context) {
+  let prompt = template.template.replace(/{{\s*(\w+)\s*}}/g, (match, name) =>
+    PROMPT_PLACEHOLDERS.includes(name) ? context[name] || "" : match
+  );
+
+  if (context.thread && !/{{\s*thread\s*}}/.test(template.template)) {
+    prompt += `\n\nContext:\n${context.thread}`;
+  }
+
+  if (context.language && !/{{\s*language\s*}}/.test(template.template)) {
+    prompt += `\n\nWrite the reply in ${context.language}.`;
+  }
+
+  const bannedWords = parseBannedWords(template);
+  if (bannedWords.length > 0) {
+    prompt += `\n\nNever use these words: ${bannedWords.join(", ")}.`;
+  }
+  return prompt;
+}
@@ -0,0 +1,343 @@
+// providers.js - LLM provider adapters used by background.js
+//
+// Every adapter owns its own request building, response parsing and error
+// mapping so the rest of the extension only deals with "prompt in, text out".
+// Calls wait for the provider's rate limit (rate_limiter.js, background
+// only) and 429 and 5xx responses are retried with exponential backoff.
+// Keys come from api_keys.js (background only) and go in headers, never in
+// the URL.
+
+const DEFAULT_MODEL_CHOICE = "groq:llama-3.3-70b-versatile";
+const DEFAULT_LOCAL_ENDPOINT = "http://localhost:11434/v1/chat/completions";
+const DEFAULT_LOCAL_MODEL = "llama3";
+const MAX_REPLY_TOKENS = 80;
+const MAX_PROVIDER_RETRIES = 3;
+const BASE_RETRY_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 30000;
+
+// retryAfterMs: how long the provider asked us to wait, for 429s and 5xx
+class ProviderError extends Error {
+  constructor(message, status = 0, retryAfterMs = 0) {
+    super(message);
+    this.name = "ProviderError";
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// Groq and local llama.cpp / Ollama servers all speak OpenAI chat completions
+function buildChatCompletionRequest(url, apiKey, model, prompt) {
+  const headers = { "Content-Type": "application/json" };
+  if (apiKey) {
+    headers.Authorization = `Bearer ${apiKey}`;
+  }
+
+  return {
+    url,
+    options: {
+      method: "POST",
+      headers,
+      body: JSON.stringify({
+        model,
+        messages: [{ role: "user", content: prompt }],
+        max_tokens: MAX_REPLY_TOKENS,
+        temperature: 0.9,
+      }),
+    },
+  };
+}
+
+function parseChatCompletionResponse(result) {
+  return result?.choices?.[0]?.message?.content || "";
+}
+
+function mapChatCompletionError(label, status, body) {
+  const detail = body?.error?.message || "";
+
+  switch (status) {
+    case 400:
+      return new ProviderError(
+        `${label} rejected the request: ${detail}`,
+        status
+      );
+    case 401:
+    case 403:
+      return new ProviderError(`${label} API key is invalid`, status);
+    case 404:
+      return new ProviderError(`${label} model not found: ${detail}`, status);
+    case 429:
+      return new ProviderError(`${label} rate limit reached`, status);
+    default:
+      return new ProviderError(
+        `${label} API error: ${status} ${detail}`,
+        status
+      );
+  }
+}
+
+// rateLimit holds the free tier defaults; 0 means no limit
+const PROVIDERS = {
+  groq: {
+    label: "Groq",
+    requiresKey: true,
+    rateLimit: { requestsPerMinute: 30, tokensPerMinute: 6000 },
+    buildRequest({ model, prompt, apiKey }) {
+      return buildChatCompletionRequest(
+        "https://api.groq.com/openai/v1/chat/completions",
+        apiKey,
+        model,
+        prompt
+      );
+    },
+    parseResponse: parseChatCompletionResponse,
+    mapError(status, body) {
+      return mapChatCompletionError("Groq", status, body);
+    },
+  },
+
+  gemini: {
+    label: "Gemini",
+    requiresKey: true,
+    rateLimit: { requestsPerMinute: 15, tokensPerMinute: 1000000 },
+    buildRequest({ model, prompt, apiKey }) {
+      return {
+        url: `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent`,
+        options: {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            "x-goog-api-key": apiKey,
+          },
+          body: JSON.stringify({
+            contents: [{ parts: [{ text: prompt }] }],
+            generationConfig: {
+              maxOutputTokens: MAX_REPLY_TOKENS,
+              temperature: 0.9,
+            },
+          }),
+        },
+      };
+    },
+    parseResponse(result) {
+      const parts = result?.candidates?.[0]?.content?.parts || [];
+      return parts.map((part) => part.text || "").join("");
+    },
+    mapError(status, body) {
+      // Gemini reports errors as { error: { code, message, status } }
+      const detail = body?.error?.message || "";
+      if (
+        status === 400 &&
+        body?.error?.status === "INVALID_ARGUMENT" &&
+        /API key/i.test(detail)
+      ) {
+        return new ProviderError("Gemini API key is invalid", 401);
+      }
+      if (status === 429 || body?.error?.status === "RESOURCE_EXHAUSTED") {
+        return new ProviderError("Gemini quota exhausted", 429);
+      }
+      return mapChatCompletionError("Gemini", status, body);
+    },
+  },
+
+  local: {
+    label: "Local",
+    requiresKey: false,
+    rateLimit: { requestsPerMinute: 0, tokensPerMinute: 0 },
+    buildRequest({ model, prompt, apiKey, endpoint }) {
+      return buildChatCompletionRequest(
+        endpoint || DEFAULT_LOCAL_ENDPOINT,
+        apiKey,
+        model,
+        prompt
+      );
+    },
+    parseResponse: parseChatCompletionResponse,
+    mapError(status, body) {
+      return mapChatCompletionError("Local model", status, body);
+    },
+  },
+};
+
+// The popup stores "provider:model" in groqModel. Older installs stored a
+// bare Groq model name, so anything without a known prefix stays on Groq.
+function parseModelChoice(settings) {
+  const choice = settings.groqModel || DEFAULT_MODEL_CHOICE;
+  const separator = choice.indexOf(":");
+  const provider = separator === -1 ? "" : choice.substring(0, separator);
+
+  if (choice === "local") {
+    return {
+      provider: "local",
+      model: settings.localModel || DEFAULT_LOCAL_MODEL,
+    };
+  }
+  if (!PROVIDERS[provider]) {
+    return { provider: "groq", model: choice };
+  }
+  return { provider, model: choice.substring(separator + 1) };
+}
+
+// The adapter's defaults with whatever the popup saved for this provider
+function getProviderRateLimit(provider, settings) {
+  return {
+    ...PROVIDERS[provider].rateLimit,
+    ...settings.rateLimits?.[provider],
+  };
+}
+
+// Retry-After is either seconds or an HTTP date. Without one the wait
+// doubles with every attempt.
+function getRetryDelay(retryAfter, attempt) {
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const delayMs = Number.isNaN(seconds)
+      ? Date.parse(retryAfter) - Date.now()
+      : seconds * 1000;
+    if (delayMs >= 0) return delayMs;
+  }
+  return Math.min(BASE_RETRY_DELAY_MS * 2 ** attempt, MAX_RETRY_DELAY_MS);
+}
+
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+// Run one prompt through the selected provider and return the raw reply
+// text. timeoutMs caps each attempt; retries only happen while they can
+// finish before the deadline.
+async function generateWithProvider(
+  prompt,
+  settings,
+  timeoutMs = 5000,
+  deadline = Date.now() + timeoutMs
+) {
+  const { provider, model } = parseModelChoice(settings);
+  const adapter = PROVIDERS[provider];
+
+  const { key: apiKey, locked } = await loadApiKey();
+  if (adapter.requiresKey && !apiKey) {
+    throw new ProviderError(
+      `${adapter.label} API key is ${locked ? "locked" : "missing"}`
+    );
+  }
+
+  const request = adapter.buildRequest({
+    model,
+    prompt,
+    apiKey,
+    endpoint: settings.localEndpoint,
+  });
+
+  for (let attempt = 0; ; attempt++) {
+    await acquireRateLimit(
+      provider,
+      getProviderRateLimit(provider, settings),
+      estimateTokens(prompt),
+      deadline
+    );
+
+    const { response, body } = await fetchProvider(
+      adapter,
+      request,
+      Math.min(timeoutMs, deadline - Date.now())
+    );
+    if (response.ok) {
+      return parseProviderResponse(adapter, body, provider, model);
+    }
+
+    const error = adapter.mapError(response.status, body);
+    if (!isRetryableStatus(response.status)) throw error;
+
+    error.retryAfterMs = getRetryDelay(
+      response.headers.get("Retry-After"),
+      attempt
+    );
+    // Every caller waits out a 429, not just this one
+    if (response.status === 429) {
+      await blockRateLimit(provider, Date.now() + error.retryAfterMs);
+    }
+    if (
+      attempt >= MAX_PROVIDER_RETRIES ||
+      Date.now() + error.retryAfterMs >= deadline
+    ) {
+      throw error;
+    }
+
+    console.log(
+      `${error.message}, retrying in ${error.retryAfterMs}ms (${attempt + 1})`
+    );
+    await new Promise((resolve) => setTimeout(resolve, error.retryAfterMs));
+  }
+}
+
+// One round trip; network failures and timeouts become ProviderErrors
+async function fetchProvider(adapter, { url, options }, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+
+  let response;
+  try {
+    response = await fetch(url, { ...options, signal: controller.signal });
+  } catch (error) {
+    throw new ProviderError(
+      error.name === "AbortError"
+        ? `${adapter.label} API timeout`
+        : `${adapter.label} unreachable: ${error.message}`
+    );
+  } finally {
+    clearTimeout(timer);
+  }
+
+  const body = await response.json().catch(() => null);
+  return { response, body };
+}
+
+// One minimal call with the given key, outside the rate limiter and without
+// retries, so the answer is the provider's own: { result, message } with
+// result "valid", "invalid", "quota" or "error"
+async function testProviderKey(apiKey, settings, timeoutMs = 10000) {
+  const { provider, model } = parseModelChoice(settings);
+  const adapter = PROVIDERS[provider];
+  if (adapter.requiresKey && !apiKey) {
+    return {
+      result: "invalid",
+      message: `${adapter.label} API key is missing`,
+    };
+  }
+
+  try {
+    const { response, body } = await fetchProvider(
+      adapter,
+      adapter.buildRequest({
+        model,
+        prompt: "Reply with OK.",
+        apiKey,
+        endpoint: settings.localEndpoint,
+      }),
+      timeoutMs
+    );
+    if (response.ok) {
+      return { result: "valid", message: `${adapter.label} accepted the key` };
+    }
+
+    const error = adapter.mapError(response.status, body);
+    const result =
+      error.status === 401 || error.status === 403
+        ? "invalid"
+        : error.status === 429
+        ? "quota"
+        : "error";
+    return { result, message: error.message };
+  } catch (error) {
+    return { result: "error", message: error.message };
+  }
+}
+
+function parseProviderResponse(adapter, body, provider, model) {
+  const text = adapter.parseResponse(body);
+  if (!text) {
+    throw new ProviderError(`${adapter.label} returned an empty reply`);
+  }
+
+  return { text, provider, model };
+}
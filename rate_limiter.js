@@ -0,0 +1,107 @@
+// rate_limiter.js - token buckets in front of every provider call
+//
+// Loaded by background.js after providers.js. Each provider has a bucket of
+// requests and one of tokens per minute that refill continuously, so bursts
+// up to a minute's allowance go out at once and the rest are spread out.
+// A 429 blocks the provider until its Retry-After has passed. Buckets live
+// in chrome.storage.session so a worker restart doesn't hand out a fresh
+// minute of calls; serializedStorageUpdate() from storage.js keeps
+// concurrent calls from taking the same slot.
+
+const RATE_LIMIT_STATE_KEY = "rateLimitState"; // { [provider]: bucket }
+
+// About four characters a token for the prompt, plus what the reply may use
+function estimateTokens(prompt) {
+  return Math.ceil(prompt.length / 4) + MAX_REPLY_TOKENS;
+}
+
+// update(state) changes the buckets in place
+function updateRateLimitState(update) {
+  return serializedStorageUpdate(
+    "session",
+    RATE_LIMIT_STATE_KEY,
+    (state = {}) => {
+      update(state);
+      return state;
+    }
+  );
+}
+
+// A bucket topped up for the time since it was last used; new ones are full
+function refillBucket(bucket, limit, now) {
+  if (!bucket) {
+    return {
+      requests: limit.requestsPerMinute,
+      tokens: limit.tokensPerMinute,
+      updatedAt: now,
+      blockedUntil: 0,
+    };
+  }
+
+  const elapsedMinutes = (now - bucket.updatedAt) / 60000;
+  return {
+    requests: Math.min(
+      limit.requestsPerMinute,
+      bucket.requests + elapsedMinutes * limit.requestsPerMinute
+    ),
+    tokens: Math.min(
+      limit.tokensPerMinute,
+      bucket.tokens + elapsedMinutes * limit.tokensPerMinute
+    ),
+    updatedAt: now,
+    blockedUntil: bucket.blockedUntil || 0,
+  };
+}
+
+// Milliseconds until the bucket holds one request and this many tokens
+function getBucketWait(bucket, limit, tokens, now) {
+  const waits = [bucket.blockedUntil - now];
+  if (limit.requestsPerMinute > 0) {
+    waits.push(((1 - bucket.requests) / limit.requestsPerMinute) * 60000);
+  }
+  if (limit.tokensPerMinute > 0) {
+    // A prompt bigger than the whole bucket only waits for a full one
+    const needed = Math.min(tokens, limit.tokensPerMinute);
+    waits.push(((needed - bucket.tokens) / limit.tokensPerMinute) * 60000);
+  }
+  return Math.max(0, Math.ceil(Math.max(...waits)));
+}
+
+// Resolves once the call may go out and takes its share from the buckets.
+// Throws a 429 ProviderError right away if that can't happen before the
+// deadline, so the caller isn't kept waiting for nothing.
+async function acquireRateLimit(provider, limit, tokens, deadline) {
+  for (;;) {
+    let waitMs = 0;
+    await updateRateLimitState((state) => {
+      const now = Date.now();
+      const bucket = refillBucket(state[provider], limit, now);
+      waitMs = getBucketWait(bucket, limit, tokens, now);
+      if (waitMs === 0) {
+        if (limit.requestsPerMinute > 0) bucket.requests -= 1;
+        if (limit.tokensPerMinute > 0) bucket.tokens -= tokens;
+      }
+      state[provider] = bucket;
+    });
+    if (waitMs === 0) return;
+
+    if (Date.now() + waitMs >= deadline) {
+      throw new ProviderError(
+        `${PROVIDERS[provider].label} rate limit reached`,
+        429,
+        waitMs
+      );
+    }
+    await new Promise((resolve) => setTimeout(resolve, waitMs));
+  }
+}
+
+// After a 429 nothing goes to the provider before untilMs
+function blockRateLimit(provider, untilMs) {
+  return updateRateLimitState((state) => {
+    const bucket = state[provider];
+    if (bucket) {
+      bucket.blockedUntil = Math.max(bucket.blockedUntil || 0, untilMs);
+    }
+  });
+}
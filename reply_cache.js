@@ -0,0 +1,142 @@
+// reply_cache.js - generated replies kept for reuse, and the ones we posted
+//
+// Loaded by background.js; the content scripts and the popup only need the
+// defaults for the settings schema. A reply is cached under a SHA-256 of
+// everything that shaped it: the full tweet text, the thread context, the
+// persona and the model. Entries live in chrome.storage.local with a TTL and
+// a size limit, so worker and browser restarts keep them.
+//
+// Posted replies are remembered separately, so a new reply that reads almost
+// like one we already posted can be turned down before it goes out. Both
+// lists are written through serializedStorageUpdate() from storage.js.
+
+const REPLY_CACHE_DEFAULTS = {
+  replyCacheTtlMinutes: 60,
+  replyCacheSize: 100,
+  reuseRepliesAcrossTweets: false,
+  nearDuplicateCheck: true,
+  nearDuplicateSimilarity: 80, // percent
+};
+
+// Both chrome.storage.local lists keep the oldest entries first
+const REPLY_CACHE_KEY = "replyCache"; // [{ key, reply, model, tweetUrl, cachedAt }]
+const POSTED_REPLIES_KEY = "postedReplies"; // [{ reply, postedAt }]
+const MAX_POSTED_REPLIES = 200;
+
+function getReplyCacheConfig(settings) {
+  const config = { ...REPLY_CACHE_DEFAULTS };
+  for (const key of Object.keys(REPLY_CACHE_DEFAULTS)) {
+    if (settings[key] !== undefined) config[key] = settings[key];
+  }
+  return config;
+}
+
+// Hex SHA-256 of the inputs; editing the persona or switching models gives
+// new keys instead of stale replies
+async function getReplyCacheKey(data, settings) {
+  const { provider, model } = parseModelChoice(settings);
+  const template = getActivePromptTemplate(settings);
+  const bytes = new TextEncoder().encode(
+    JSON.stringify([
+      data.prompt,
+      data.context || null,
+      template,
+      provider,
+      model,
+    ])
+  );
+  const digest = await crypto.subtle.digest("SHA-256", bytes);
+  return Array.from(new Uint8Array(digest), (byte) =>
+    byte.toString(16).padStart(2, "0")
+  ).join("");
+}
+
+function updateStoredList(key, update) {
+  return serializedStorageUpdate("local", key, (list = []) => update(list));
+}
+
+function dropExpiredReplies(cache, config) {
+  const cutoff = Date.now() - config.replyCacheTtlMinutes * 60 * 1000;
+  return cache.filter((entry) => entry.cachedAt > cutoff);
+}
+
+// { reply, model } or null. Unless reuse is allowed, a reply written for
+// one tweet is only handed out again for that same tweet (a retry).
+async function getCachedReply(key, tweetUrl, settings) {
+  const config = getReplyCacheConfig(settings);
+  const items = await chrome.storage.local.get(REPLY_CACHE_KEY);
+  const entry = dropExpiredReplies(items[REPLY_CACHE_KEY] || [], config).find(
+    (entry) => entry.key === key
+  );
+  if (!entry) return null;
+
+  if (
+    !config.reuseRepliesAcrossTweets &&
+    entry.tweetUrl &&
+    entry.tweetUrl !== tweetUrl
+  ) {
+    return null;
+  }
+  return { reply: entry.reply, model: entry.model };
+}
+
+// Newest entries go last; expired ones and the oldest past the size limit
+// are dropped on every write
+function cacheReply(key, { reply, model, tweetUrl }, settings) {
+  const config = getReplyCacheConfig(settings);
+  return updateStoredList(REPLY_CACHE_KEY, (cache) =>
+    [
+      ...dropExpiredReplies(cache, config).filter((entry) => entry.key !== key),
+      { key, reply, model, tweetUrl: tweetUrl || "", cachedAt: Date.now() },
+    ].slice(-config.replyCacheSize)
+  );
+}
+
+function rememberPostedReply(reply) {
+  return updateStoredList(POSTED_REPLIES_KEY, (posted) =>
+    [...posted, { reply, postedAt: Date.now() }].slice(-MAX_POSTED_REPLIES)
+  );
+}
+
+// Character trigrams of the letters and digits, so punctuation, case and
+// emoji don't make two replies look different
+function getTrigramCounts(text) {
+  const normalized = ` ${text
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, " ")
+    .trim()} `;
+  const counts = new Map();
+  for (let i = 0; i + 3 <= normalized.length; i++) {
+    const trigram = normalized.substring(i, i + 3);
+    counts.set(trigram, (counts.get(trigram) || 0) + 1);
+  }
+  return counts;
+}
+
+// Dice coefficient of the trigram counts: 1 for the same text, 0 for
+// nothing in common
+function getReplySimilarity(a, b) {
+  const countsA = getTrigramCounts(a);
+  const countsB = getTrigramCounts(b);
+  let total = 0;
+  let shared = 0;
+  for (const count of countsA.values()) total += count;
+  for (const [trigram, count] of countsB) {
+    total += count;
+    shared += Math.min(count, countsA.get(trigram) || 0);
+  }
+  return total === 0 ? 0 : (2 * shared) / total;
+}
+
+// The posted reply the candidate is too close to, or null
+async function findNearDuplicateReply(reply, settings) {
+  const config = getReplyCacheConfig(settings);
+  if (!config.nearDuplicateCheck) return null;
+
+  const items = await chrome.storage.local.get(POSTED_REPLIES_KEY);
+  const threshold = config.nearDuplicateSimilarity / 100;
+  const match = (items[POSTED_REPLIES_KEY] || []).find(
+    (posted) => getReplySimilarity(reply, posted.reply) >= threshold
+  );
+  return match ? match.reply : null;
+}
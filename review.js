@@ -0,0 +1,100 @@
+document.addEventListener("DOMContentLoaded", function () {
+  renderDrafts();
+
+  // Re-render whenever background.js adds, regenerates or posts a draft
+  chrome.storage.onChanged.addListener(function (changes, area) {
+    if (area === "local" && changes[REVIEW_QUEUE_KEY]) {
+      renderDrafts();
+    }
+  });
+});
+
+// Function to draw every queued draft next to the tweet it answers
+async function renderDrafts() {
+  const drafts = await getDrafts();
+  const container = document.getElementById("drafts");
+
+  // Keep unsaved edits when the queue changes under us
+  const focused = document.activeElement;
+  if (focused && focused.tagName === "TEXTAREA") return;
+
+  container.textContent = "";
+  document.getElementById("empty").style.display = drafts.length
+    ? "none"
+    : "block";
+
+  for (const draft of drafts) {
+    container.appendChild(createDraftCard(draft));
+  }
+}
+
+function createDraftCard(draft) {
+  const card = document.createElement("div");
+  card.className = "draft";
+
+  const meta = document.createElement("div");
+  meta.className = "meta";
+  meta.textContent = `${new Date(draft.createdAt).toLocaleString()} · ${
+    draft.status
+  }`;
+  if (draft.tweetUrl) {
+    const link = document.createElement("a");
+    link.href = draft.tweetUrl;
+    link.target = "_blank";
+    link.textContent = " · open tweet";
+    meta.appendChild(link);
+  }
+
+  const tweet = document.createElement("blockquote");
+  tweet.className = "tweet";
+  tweet.textContent = draft.tweetText;
+
+  const reply = document.createElement("textarea");
+  reply.value = draft.reply;
+  reply.addEventListener("change", () =>
+    sendDraftAction("editDraft", draft.id, { reply: reply.value.trim() })
+  );
+
+  const actions = document.createElement("div");
+  actions.className = "actions";
+  actions.appendChild(
+    createButton("Approve & Post", "", () =>
+      sendDraftAction("approveDraft", draft.id, { reply: reply.value.trim() })
+    )
+  );
+  actions.appendChild(
+    createButton("Regenerate", "secondary", () =>
+      sendDraftAction("regenerateDraft", draft.id)
+    )
+  );
+  actions.appendChild(
+    createButton("Discard", "danger", () =>
+      sendDraftAction("discardDraft", draft.id)
+    )
+  );
+
+  card.append(meta, tweet, reply, actions);
+
+  if (draft.error) {
+    const error = document.createElement("div");
+    error.className = "error";
+    error.textContent = draft.error;
+    card.appendChild(error);
+  }
+
+  return card;
+}
+
+function createButton(label, className, onClick) {
+  const button = document.createElement("button");
+  button.textContent = label;
+  button.className = className;
+  button.addEventListener("click", onClick);
+  return button;
+}
+
+// Only the background writes the queue; approving and regenerating also
+// need it to talk to the model or tab
+function sendDraftAction(type, draftId, details = {}) {
+  chrome.runtime.sendMessage({ type, draftId, ...details });
+}
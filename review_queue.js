@@ -0,0 +1,54 @@
+// review_queue.js - draft replies waiting for a human before they get posted
+//
+// Drafts live in chrome.storage.local so background.js, the popup and the
+// review page all read the same queue. Only background.js writes it, one
+// change at a time through serializedStorageUpdate() from storage.js; the
+// review page asks it to with "editDraft", "discardDraft" and "approveDraft".
+
+const REVIEW_QUEUE_KEY = "reviewQueue";
+
+async function getDrafts() {
+  const items = await chrome.storage.local.get(REVIEW_QUEUE_KEY);
+  return items[REVIEW_QUEUE_KEY] || [];
+}
+
+async function getDraft(id) {
+  const drafts = await getDrafts();
+  return drafts.find((draft) => draft.id === id) || null;
+}
+
+function updateDrafts(update) {
+  return serializedStorageUpdate("local", REVIEW_QUEUE_KEY, (drafts = []) =>
+    update(drafts)
+  );
+}
+
+async function addDraft(draft) {
+  const entry = {
+    id: `draft_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    status: "pending",
+    createdAt: Date.now(),
+    updatedAt: Date.now(),
+    ...draft,
+  };
+
+  await updateDrafts((drafts) => [...drafts, entry]);
+  return entry;
+}
+
+// The updated draft, or null when it is gone
+async function updateDraft(id, changes) {
+  let updated = null;
+  await updateDrafts((drafts) =>
+    drafts.map((draft) => {
+      if (draft.id !== id) return draft;
+      updated = { ...draft, ...changes, updatedAt: Date.now() };
+      return updated;
+    })
+  );
+  return updated;
+}
+
+function removeDraft(id) {
+  return updateDrafts((drafts) => drafts.filter((draft) => draft.id !== id));
+}
@@ -0,0 +1,132 @@
+// rules.js - targeting rules that decide whether a tweet is eligible
+//
+// Likes and replies each get their own rule set (likeRules / replyRules in
+// chrome.storage.sync). Keyword lists take one entry per line or comma;
+// a line written as /pattern/flags is treated as one regular expression.
+
+const RULE_DEFAULTS = {
+  includeKeywords: "",
+  excludeKeywords: "",
+  allowAuthors: "",
+  denyAuthors: "",
+  skipPromoted: true,
+  tweetType: "all", // "all" | "originals" | "replies"
+  minLength: 0,
+  maxLength: 0,
+};
+
+const RULE_DECISIONS_KEY = "ruleDecisions";
+const MAX_RULE_DECISIONS = 20;
+
+function splitRuleList(text) {
+  return (text || "")
+    .split("\n")
+    .flatMap((line) =>
+      /^\s*\/.+\/[a-z]*\s*$/.test(line) ? [line] : line.split(",")
+    )
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+}
+
+// The RegExp for a /pattern/flags entry, null for a plain one. Throws if
+// the pattern doesn't compile.
+function parseRuleRegex(entry) {
+  const regexMatch = entry.match(/^\/(.+)\/([a-z]*)$/);
+  if (!regexMatch) return null;
+  // No "g" or "y" flag: both keep lastIndex between test() calls
+  return new RegExp(regexMatch[1], regexMatch[2].replace(/[gy]/g, ""));
+}
+
+// Plain entries match case-insensitively anywhere in the text
+function parseRulePatterns(text) {
+  return splitRuleList(text)
+    .map((entry) => {
+      let regex;
+      try {
+        regex = parseRuleRegex(entry);
+      } catch (error) {
+        console.log("Ignoring invalid rule regex:", entry);
+        return null;
+      }
+      if (regex) {
+        return { label: entry, test: (value) => regex.test(value) };
+      }
+
+      const needle = entry.toLowerCase();
+      return {
+        label: `"${entry}"`,
+        test: (value) => value.toLowerCase().includes(needle),
+      };
+    })
+    .filter(Boolean);
+}
+
+function parseHandles(text) {
+  return new Set(
+    splitRuleList(text).map((handle) => handle.replace(/^@/, "").toLowerCase())
+  );
+}
+
+// tweet: { text, author, isPromoted, isReply }
+// Returns { allowed, rule } where rule says what matched or what blocked it
+function evaluateRules(rules, tweet) {
+  const config = { ...RULE_DEFAULTS, ...rules };
+  const author = (tweet.author || "").toLowerCase();
+  const text = tweet.text || "";
+  const block = (rule) => ({ allowed: false, rule });
+
+  if (config.skipPromoted && tweet.isPromoted) {
+    return block("promoted tweet");
+  }
+  if (config.tweetType === "originals" && tweet.isReply) {
+    return block("is a reply (originals only)");
+  }
+  if (config.tweetType === "replies" && !tweet.isReply) {
+    return block("is an original (replies only)");
+  }
+
+  if (parseHandles(config.denyAuthors).has(author)) {
+    return block(`denied author @${author}`);
+  }
+  const allowAuthors = parseHandles(config.allowAuthors);
+  if (allowAuthors.size > 0 && !allowAuthors.has(author)) {
+    return block(`@${author} not in allow list`);
+  }
+
+  const minLength = parseInt(config.minLength, 10) || 0;
+  const maxLength = parseInt(config.maxLength, 10) || 0;
+  if (minLength && text.length < minLength) {
+    return block(`shorter than ${minLength} chars`);
+  }
+  if (maxLength && text.length > maxLength) {
+    return block(`longer than ${maxLength} chars`);
+  }
+
+  const excluded = parseRulePatterns(config.excludeKeywords).find((pattern) =>
+    pattern.test(text)
+  );
+  if (excluded) {
+    return block(`excluded keyword ${excluded.label}`);
+  }
+
+  const includePatterns = parseRulePatterns(config.includeKeywords);
+  if (includePatterns.length > 0) {
+    const included = includePatterns.find((pattern) => pattern.test(text));
+    if (!included) return block("no include keyword matched");
+    return { allowed: true, rule: `keyword ${included.label}` };
+  }
+
+  if (allowAuthors.size > 0) {
+    return { allowed: true, rule: `allowed author @${author}` };
+  }
+  return { allowed: true, rule: "no rule blocked it" };
+}
+
+// Keep the latest decisions so the popup can show why tweets were picked
+async function recordRuleDecision(decision) {
+  const items = await chrome.storage.local.get(RULE_DECISIONS_KEY);
+  const decisions = [decision, ...(items[RULE_DECISIONS_KEY] || [])];
+  await chrome.storage.local.set({
+    [RULE_DECISIONS_KEY]: decisions.slice(0, MAX_RULE_DECISIONS),
+  });
+}
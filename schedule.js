@@ -0,0 +1,153 @@
+// schedule.js - working windows for automation
+//
+// Shared by background.js, which starts and stops automation on the
+// schedule, and the popup, which edits it and shows the next window.
+// Windows repeat weekly: days are 0 (Sunday) to 6, start/end are "HH:MM"
+// wall-clock times in scheduleTimezone (empty means the browser's zone).
+// An end at or before the start runs past midnight. Uses DAY_MS from
+// budgets.js.
+
+const SCHEDULE_DEFAULTS = {
+  scheduleEnabled: false,
+  scheduleTimezone: "",
+  scheduleWindows: [],
+};
+
+const WEEKDAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const MINUTE_MS = 60 * 1000;
+
+function createScheduleWindow() {
+  return {
+    id: `window-${Date.now()}`,
+    days: [1, 2, 3, 4, 5],
+    start: "09:00",
+    end: "17:00",
+    maxRunMinutes: 0, // 0 = until the window ends
+  };
+}
+
+function parseTimeOfDay(value) {
+  const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(value || "");
+  return match ? { hour: Number(match[1]), minute: Number(match[2]) } : null;
+}
+
+function isValidTimeZone(timeZone) {
+  if (!timeZone) return true;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Wall-clock date parts of an instant in the given zone
+function getZonedParts(time, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone: timeZone || undefined,
+    year: "numeric",
+    month: "numeric",
+    day: "numeric",
+    hour: "numeric",
+    minute: "numeric",
+    hourCycle: "h23",
+  }).formatToParts(new Date(time));
+
+  const value = (type) => parts.find((part) => part.type === type).value;
+  return {
+    year: Number(value("year")),
+    month: Number(value("month")),
+    day: Number(value("day")),
+    hour: Number(value("hour")),
+    minute: Number(value("minute")),
+  };
+}
+
+// The instant a wall-clock time in the zone refers to. Two passes settle
+// the zone offset, including on DST change days.
+function zonedTimeToUtc({ year, month, day, hour, minute }, timeZone) {
+  const wallAsUtc = Date.UTC(year, month - 1, day, hour, minute);
+  let time = wallAsUtc;
+  for (let pass = 0; pass < 2; pass++) {
+    const parts = getZonedParts(time, timeZone);
+    const shownAsUtc = Date.UTC(
+      parts.year,
+      parts.month - 1,
+      parts.day,
+      parts.hour,
+      parts.minute
+    );
+    time += wallAsUtc - shownAsUtc;
+  }
+  return time;
+}
+
+// Every occurrence of the windows starting between the day before `from`
+// and `to`, earliest first. Starting a day early catches overnight windows.
+function getWindowOccurrences(windows, timeZone, from, to) {
+  const occurrences = [];
+  const today = getZonedParts(from, timeZone);
+  const days = Math.ceil((to - from) / DAY_MS) + 1;
+
+  for (let offset = -1; offset <= days; offset++) {
+    const date = new Date(
+      Date.UTC(today.year, today.month - 1, today.day + offset)
+    );
+    const weekday = date.getUTCDay();
+
+    for (const scheduleWindow of windows) {
+      const start = parseTimeOfDay(scheduleWindow.start);
+      const end = parseTimeOfDay(scheduleWindow.end);
+      if (!start || !end || !scheduleWindow.days.includes(weekday)) continue;
+
+      const day = {
+        year: date.getUTCFullYear(),
+        month: date.getUTCMonth() + 1,
+        day: date.getUTCDate(),
+      };
+      const startAt = zonedTimeToUtc({ ...day, ...start }, timeZone);
+      let endAt = zonedTimeToUtc({ ...day, ...end }, timeZone);
+      if (endAt <= startAt) endAt += DAY_MS; // runs past midnight
+      if (scheduleWindow.maxRunMinutes > 0) {
+        endAt = Math.min(
+          endAt,
+          startAt + scheduleWindow.maxRunMinutes * MINUTE_MS
+        );
+      }
+
+      if (startAt <= to) {
+        occurrences.push({ scheduleWindow, start: startAt, end: endAt });
+      }
+    }
+  }
+  return occurrences.sort((a, b) => a.start - b.start);
+}
+
+// { scheduleWindow, start, end } of the window running at `now`, or null
+function getActiveScheduleWindow(windows, timeZone, now = Date.now()) {
+  return (
+    getWindowOccurrences(windows, timeZone, now, now).find(
+      (occurrence) => occurrence.start <= now && now < occurrence.end
+    ) || null
+  );
+}
+
+// The next window that hasn't started yet, within a week
+function getNextScheduleWindow(windows, timeZone, now = Date.now()) {
+  return (
+    getWindowOccurrences(windows, timeZone, now, now + 7 * DAY_MS).find(
+      (occurrence) => occurrence.start > now
+    ) || null
+  );
+}
+
+function formatScheduleWindow(occurrence, timeZone) {
+  const format = (time) =>
+    new Date(time).toLocaleString([], {
+      timeZone: timeZone || undefined,
+      weekday: "short",
+      hour: "2-digit",
+      minute: "2-digit",
+    });
+  return `${format(occurrence.start)} - ${format(occurrence.end)}`;
+}
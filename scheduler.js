@@ -0,0 +1,46 @@
+// scheduler.js - chrome.alarms based jobs for background.js
+//
+// The MV3 service worker is stopped whenever it goes idle, taking timers
+// and intervals with it. Alarms are kept by Chrome and wake the worker up
+// again, so periodic and delayed work is registered here by name. Anything
+// a job needs across restarts has to live in storage, not in variables.
+
+const alarmHandlers = new Map();
+
+// "window:42" is handled by the handler registered as "window"
+function registerAlarmHandler(name, handler) {
+  alarmHandlers.set(name, handler);
+}
+
+// Only listeners added while the worker starts up get the alarm
+chrome.alarms.onAlarm.addListener((alarm) => {
+  const handler =
+    alarmHandlers.get(alarm.name) ||
+    alarmHandlers.get(alarm.name.split(":")[0]);
+  if (!handler) {
+    console.log("No handler for alarm:", alarm.name);
+    return;
+  }
+
+  Promise.resolve()
+    .then(() => handler(alarm))
+    .catch((error) => console.error(`Alarm ${alarm.name} failed:`, error));
+});
+
+// Recreating an alarm resets its timer, so only do it when it changed
+async function ensurePeriodicAlarm(name, periodInMinutes) {
+  const existing = await chrome.alarms.get(name);
+  if (existing && existing.periodInMinutes === periodInMinutes) return;
+  await chrome.alarms.create(name, {
+    delayInMinutes: periodInMinutes,
+    periodInMinutes,
+  });
+}
+
+async function scheduleAlarmAt(name, when) {
+  await chrome.alarms.create(name, { when });
+}
+
+async function cancelAlarm(name) {
+  await chrome.alarms.clear(name);
+}
@@ -0,0 +1,104 @@
+// selectors.js - every X DOM selector in one place
+//
+// Loaded before tweet_context.js, composer.js and content_script.js; uses
+// waitFor() from composer.js at run time. Each name lists selectors from
+// most to least specific; the first one that matches wins, so a renamed
+// data-testid falls back to role or aria-label based matching instead of
+// failing silently. checkSelectorHealth() tells content_script.js when
+// even the fallbacks no longer find the elements automation needs.
+
+const SELECTORS = {
+  // The aria-label is only English; timeline cells cover the other languages
+  timeline: [
+    '[aria-label^="Timeline"]',
+    '[data-testid="primaryColumn"] [data-testid="cellInnerDiv"]',
+  ],
+  emptyState: ['[data-testid="emptyState"]'],
+  tweet: ['article[data-testid="tweet"]', 'article[role="article"]'],
+  tweetText: ['[data-testid="tweetText"]', 'div[lang][dir="auto"]'],
+  userName: ['[data-testid="User-Name"]'],
+  userLink: ['[data-testid="User-Name"] a[href^="/"]'],
+  permalinkTime: ['a[href*="/status/"] time'],
+  like: [
+    '[data-testid="like"]',
+    '[role="group"] button[aria-label*="Like"]:not([aria-label*="Liked"])',
+  ],
+  unlike: [
+    '[data-testid="unlike"]',
+    '[role="group"] button[aria-label*="Liked"]',
+  ],
+  reply: ['[data-testid="reply"]', '[role="group"] button[aria-label*="Repl"]'],
+  tweetPhoto: ['[data-testid="tweetPhoto"] img'],
+  promoted: ['[data-testid="placementTracking"]'],
+  dialog: ['[role="dialog"]'],
+  composerEditor: [
+    '[data-testid="tweetTextarea_0"]',
+    '[contenteditable="true"]',
+  ],
+  postButton: [
+    '[data-testid="tweetButton"]',
+    '[data-testid="tweetButtonInline"]',
+  ],
+  toast: ['[data-testid="toast"]', '[role="alert"]'],
+};
+
+// What automation can't work without. Checked against the tweets on the
+// page; the composer only exists while a reply dialog is open.
+const REQUIRED_TWEET_SELECTORS = [
+  "permalinkTime",
+  "tweetText",
+  "userName",
+  "like",
+  "reply",
+];
+const SELECTOR_CHECK_TIMEOUT_MS = 15000;
+const SELECTOR_CHECK_SAMPLE = 5;
+
+function queryElement(scope, name) {
+  for (const selector of SELECTORS[name]) {
+    const element = scope.querySelector(selector);
+    if (element) return element;
+  }
+  return null;
+}
+
+// All matches of the first selector that matches anything
+function queryElements(scope, name) {
+  for (const selector of SELECTORS[name]) {
+    const elements = scope.querySelectorAll(selector);
+    if (elements.length > 0) return Array.from(elements);
+  }
+  return [];
+}
+
+function getSelector(name) {
+  return SELECTORS[name].join(", ");
+}
+
+// { ok, missing, noTimeline } for the current page. Waits for the timeline
+// to render before deciding no tweets can be found. Pages without one
+// (messages, settings, an empty list) have nothing to check, so they come
+// back ok with noTimeline. A tweet that is already liked has no like
+// button, so either button counts.
+async function checkSelectorHealth() {
+  const tweets = await waitFor(() => {
+    if (queryElement(document, "emptyState")) return [];
+    const found = queryElements(document, "tweet");
+    return found.length > 0 ? found : null;
+  }, SELECTOR_CHECK_TIMEOUT_MS);
+  if (!tweets && queryElement(document, "timeline")) {
+    return { ok: false, missing: ["tweet"], noTimeline: false };
+  }
+  if (!tweets?.length) return { ok: true, missing: [], noTimeline: true };
+
+  const sample = tweets.slice(0, SELECTOR_CHECK_SAMPLE);
+  const missing = REQUIRED_TWEET_SELECTORS.filter(
+    (name) =>
+      !sample.some(
+        (tweet) =>
+          queryElement(tweet, name) ||
+          (name === "like" && queryElement(tweet, "unlike"))
+      )
+  );
+  return { ok: missing.length === 0, missing, noTimeline: false };
+}
@@ -0,0 +1,299 @@
+// settings.js - one versioned schema for everything in chrome.storage.sync
+//
+// Loaded last among the shared modules by background.js, the content scripts
+// and the popup, since the defaults come from providers.js, budgets.js,
+// rules.js, prompts.js, moderation.js, reply_cache.js, fallback.js,
+// classifier.js, languages.js and schedule.js.
+// Contexts read with loadSettings() and follow changes through
+// onSettingsChanged() rather than passing settings around in messages.
+// The API key isn't a setting; api_keys.js keeps it out of sync storage.
+
+const SETTINGS_VERSION = 2;
+const SETTINGS_VERSION_KEY = "settingsVersion";
+
+// Types come from the defaults; extra checks only where a value can be wrong
+const SETTINGS_SCHEMA = buildSettingsSchema(
+  {
+    groqModel: DEFAULT_MODEL_CHOICE,
+    localEndpoint: "",
+    localModel: "",
+    rateLimits: {}, // { [provider]: { requestsPerMinute, tokensPerMinute } }
+    enableLiking: true,
+    enableCommenting: true,
+    automationEnabled: false,
+    draftMode: false,
+    dryRun: false,
+    likeRules: RULE_DEFAULTS,
+    replyRules: RULE_DEFAULTS,
+    promptTemplates: DEFAULT_PROMPT_TEMPLATES,
+    activeTemplateId: DEFAULT_PROMPT_TEMPLATES[0].id,
+    ...BUDGET_DEFAULTS,
+    ...MODERATION_DEFAULTS,
+    ...REPLY_CACHE_DEFAULTS,
+    ...FALLBACK_DEFAULTS,
+    ...CLASSIFIER_DEFAULTS,
+    ...LANGUAGE_DEFAULTS,
+    ...SCHEDULE_DEFAULTS,
+  },
+  {
+    groqModel: (value) =>
+      value === "local" || PROVIDERS[value.split(":")[0]]
+        ? null
+        : `Unknown model "${value}"`,
+    localEndpoint: (value) => (!value || isHttpUrl(value) ? null : "Not a URL"),
+    rateLimits: validateRateLimits,
+    likeRules: validateRules,
+    replyRules: validateRules,
+    promptTemplates: validatePromptTemplates,
+    moderationMinScore: (value) =>
+      value >= 1 && value <= 10 ? null : "Must be between 1 and 10",
+    moderationAction: (value) =>
+      ["regenerate", "skip"].includes(value) ? null : "Unknown action",
+    replyCacheTtlMinutes: (value) => (value >= 1 ? null : "Must be at least 1"),
+    replyCacheSize: (value) => (value >= 1 ? null : "Must be at least 1"),
+    nearDuplicateSimilarity: (value) =>
+      value >= 1 && value <= 100 ? null : "Must be between 1 and 100",
+    fallbackPolicy: (value) =>
+      value in FALLBACK_POLICIES ? null : "Unknown fallback policy",
+    fallbackReplies: validateFallbackReplies,
+    skipReplyCategories: (value) => validateOneOf(value, TOPIC_CATEGORIES),
+    skipLikeCategories: (value) => validateOneOf(value, TOPIC_CATEGORIES),
+    replyLanguages: (value) => validateOneOf(value, LANGUAGES),
+    scheduleTimezone: (value) =>
+      isValidTimeZone(value) ? null : `Unknown timezone "${value}"`,
+    scheduleWindows: validateScheduleWindows,
+    ...Object.fromEntries(
+      Object.keys(BUDGET_DEFAULTS).map((key) => [
+        key,
+        (value) => (value >= 0 ? null : "Can't be negative"),
+      ])
+    ),
+  }
+);
+
+// Checks that involve more than one key; they run when any of them changes
+const SETTINGS_CHECKS = [
+  {
+    keys: ["activeTemplateId", "promptTemplates"],
+    check: (settings) =>
+      settings.promptTemplates.some(
+        (template) => template.id === settings.activeTemplateId
+      )
+        ? null
+        : { key: "activeTemplate", message: "Active persona doesn't exist" },
+  },
+];
+
+// Each entry upgrades stored settings from version N to N + 1
+const SETTINGS_MIGRATIONS = {
+  // 1: everything saved before the schema existed
+  1: (stored) => {
+    const migrated = { ...stored };
+    // Bare Groq model names predate the "provider:model" format
+    const model = migrated.groqModel;
+    if (model && model !== "local" && !PROVIDERS[model.split(":")[0]]) {
+      migrated.groqModel = `groq:${model}`;
+    }
+    // Number inputs could end up saved as strings
+    for (const key of Object.keys(BUDGET_DEFAULTS)) {
+      if (typeof migrated[key] === "string") {
+        migrated[key] = parseInt(migrated[key], 10) || 0;
+      }
+    }
+    return migrated;
+  },
+};
+
+function buildSettingsSchema(defaults, validators) {
+  const schema = {};
+  for (const [key, value] of Object.entries(defaults)) {
+    schema[key] = {
+      type: getSettingsType(value),
+      default: value,
+      validate: validators[key] || null,
+    };
+  }
+  return schema;
+}
+
+function getSettingsType(value) {
+  return Array.isArray(value) ? "array" : typeof value;
+}
+
+function isHttpUrl(value) {
+  try {
+    return ["http:", "https:"].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+function validateOneOf(values, known) {
+  const unknown = values.find((value) => !(value in known));
+  return unknown ? `Unknown entry "${unknown}"` : null;
+}
+
+function validateRateLimits(rateLimits) {
+  for (const [provider, limit] of Object.entries(rateLimits)) {
+    if (!PROVIDERS[provider]) return `Unknown provider "${provider}"`;
+    for (const key of ["requestsPerMinute", "tokensPerMinute"]) {
+      if (limit[key] !== undefined && !(limit[key] >= 0)) {
+        return `${PROVIDERS[provider].label} rate limits can't be negative`;
+      }
+    }
+  }
+  return null;
+}
+
+// Regex entries in the keyword lists have to compile
+function validateRules(rules) {
+  for (const key of ["includeKeywords", "excludeKeywords"]) {
+    for (const entry of splitRuleList(rules[key])) {
+      try {
+        parseRuleRegex(entry);
+      } catch (error) {
+        return { field: key, message: `Invalid regex ${entry}` };
+      }
+    }
+  }
+  if (!["all", "originals", "replies"].includes(rules.tweetType)) {
+    return { field: "tweetType", message: "Unknown tweet type" };
+  }
+  return null;
+}
+
+function validatePromptTemplates(templates) {
+  if (templates.length === 0) return "At least one persona is needed";
+  for (const template of templates) {
+    if (!template.id || !template.name?.trim()) {
+      return "Every persona needs a name";
+    }
+    if (!template.template?.trim()) {
+      return `Persona "${template.name}" has no prompt`;
+    }
+    if (!(template.maxLength >= 20)) {
+      return `Persona "${template.name}" needs a max length of at least 20`;
+    }
+  }
+  return null;
+}
+
+function validateScheduleWindows(windows) {
+  for (const scheduleWindow of windows) {
+    if (
+      !parseTimeOfDay(scheduleWindow.start) ||
+      !parseTimeOfDay(scheduleWindow.end)
+    ) {
+      return "Window times must be HH:MM";
+    }
+    if (!Array.isArray(scheduleWindow.days) || !scheduleWindow.days.length) {
+      return "Every window needs at least one day";
+    }
+    if (!(scheduleWindow.maxRunMinutes >= 0)) {
+      return "Max run length can't be negative";
+    }
+  }
+  return null;
+}
+
+// Run the migrations between the stored version and SETTINGS_VERSION
+function migrateSettings(stored) {
+  let migrated = { ...stored };
+  let version = stored[SETTINGS_VERSION_KEY] || 1;
+  while (version < SETTINGS_VERSION) {
+    migrated = SETTINGS_MIGRATIONS[version](migrated);
+    version++;
+  }
+  migrated[SETTINGS_VERSION_KEY] = version;
+  return migrated;
+}
+
+// Complete settings object: missing or wrongly typed values get the default
+function normalizeSettings(stored) {
+  const settings = {};
+  for (const [key, field] of Object.entries(SETTINGS_SCHEMA)) {
+    const value = stored[key];
+    if (getSettingsType(value) !== field.type) {
+      settings[key] = structuredClone(field.default);
+    } else if (field.type === "object") {
+      settings[key] = { ...field.default, ...value };
+    } else {
+      settings[key] = value;
+    }
+  }
+  return settings;
+}
+
+// [{ key, message }] for the given keys (all keys by default). Nested rule
+// errors use "likeRules_includeKeywords" style keys, like the popup's ids.
+function validateSettings(settings, keys = Object.keys(SETTINGS_SCHEMA)) {
+  const errors = [];
+  for (const key of keys) {
+    const field = SETTINGS_SCHEMA[key];
+    if (!field) continue;
+
+    const value = settings[key];
+    if (getSettingsType(value) !== field.type) {
+      errors.push({ key, message: `Expected a ${field.type}` });
+      continue;
+    }
+
+    const error = field.validate && field.validate(value);
+    if (typeof error === "string") {
+      errors.push({ key, message: error });
+    } else if (error) {
+      errors.push({ key: `${key}_${error.field}`, message: error.message });
+    }
+  }
+
+  for (const { keys: checkKeys, check } of SETTINGS_CHECKS) {
+    if (!checkKeys.some((key) => keys.includes(key))) continue;
+    const error = check(settings);
+    if (error) errors.push(error);
+  }
+  return errors;
+}
+
+async function loadSettings() {
+  const stored = await chrome.storage.sync.get(null);
+  return normalizeSettings(migrateSettings(stored));
+}
+
+// Only the changed keys (and checks that involve them) are validated, so a
+// content script can switch automation off without tripping over a missing
+// API key. Nothing is written when there are errors.
+async function saveSettings(changes) {
+  const stored = await chrome.storage.sync.get(null);
+  const migrated = migrateSettings(stored);
+  const settings = { ...normalizeSettings(migrated), ...changes };
+  const errors = validateSettings(settings, Object.keys(changes));
+  if (errors.length > 0) return { errors };
+
+  // Only the changed keys are written, so a save can't put back values
+  // another window changed meanwhile. If this save is what migrates the
+  // settings, the migrated values go along so the new version number is
+  // never stored next to old-format data.
+  const migrating =
+    stored[SETTINGS_VERSION_KEY] !== migrated[SETTINGS_VERSION_KEY];
+  await chrome.storage.sync.set(
+    migrating ? { ...migrated, ...changes } : changes
+  );
+  return { errors: [] };
+}
+
+// Write migrated settings back once, after an install or update
+async function migrateStoredSettings() {
+  const stored = await chrome.storage.sync.get(null);
+  if ((stored[SETTINGS_VERSION_KEY] || 1) >= SETTINGS_VERSION) return;
+  await chrome.storage.sync.set(migrateSettings(stored));
+}
+
+// callback(settings, changedKeys) with the full, normalized settings
+function onSettingsChanged(callback) {
+  chrome.storage.onChanged.addListener(async (changes, area) => {
+    if (area !== "sync") return;
+    const keys = Object.keys(changes).filter((key) => key in SETTINGS_SCHEMA);
+    if (keys.length === 0) return;
+    callback(await loadSettings(), keys);
+  });
+}
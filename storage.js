@@ -0,0 +1,27 @@
+// storage.js - serialized read-modify-write of values in chrome.storage
+//
+// Loaded first by background.js, the content scripts and the extension
+// pages. Lists and maps that several callers update at once (the API queue,
+// budgets, tab statuses, rate limit buckets, the reply cache, the review
+// queue) go through serializedStorageUpdate() so no update overwrites
+// another one made in the same context.
+
+const storageWriteChains = new Map();
+
+// update gets the stored value (undefined if there is none) and returns the
+// new one. One write per key at a time; a failed write rejects for its
+// caller and the next one still runs.
+function serializedStorageUpdate(area, key, update) {
+  const chainKey = `${area}:${key}`;
+  const write = (storageWriteChains.get(chainKey) || Promise.resolve()).then(
+    async () => {
+      const items = await chrome.storage[area].get(key);
+      await chrome.storage[area].set({ [key]: update(items[key]) });
+    }
+  );
+  storageWriteChains.set(
+    chainKey,
+    write.catch(() => {})
+  );
+  return write;
+}
@@ -0,0 +1,128 @@
+// API keys in local storage, the passphrase lock and the Test key button
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { setupHarness, waitUntil } = require("./helpers/harness.js");
+
+const REPLY_ONLY = { settings: { enableLiking: false } };
+
+function testKey(harness, apiKey) {
+  return harness.sendFromPopup({
+    type: "testApiKey",
+    apiKey,
+    settings: {
+      groqModel: "local",
+      localEndpoint: harness.server.url,
+      localModel: "mock-model",
+    },
+  });
+}
+
+test("an encrypted key is only used once it is unlocked", async (t) => {
+  const harness = await setupHarness(t, REPLY_ONLY);
+  const { saveApiKey, loadApiKey, unlockApiKey } = harness.background.context;
+  const { local, sync, session } = harness.world.areas;
+
+  await saveApiKey("gsk_secret", "correct horse");
+  assert.ok(local.apiKey.encrypted);
+  assert.doesNotMatch(JSON.stringify({ local, sync }), /gsk_secret/);
+  assert.strictEqual((await loadApiKey()).key, "gsk_secret");
+
+  // A browser restart clears session storage
+  delete session.unlockedApiKey;
+  assert.deepStrictEqual(
+    { ...(await loadApiKey()) },
+    { key: "", locked: true }
+  );
+  await assert.rejects(unlockApiKey("wrong horse"), /Wrong passphrase/);
+  await unlockApiKey("correct horse");
+  assert.strictEqual((await loadApiKey()).key, "gsk_secret");
+});
+
+test("a key synced by an older version moves to local storage", async (t) => {
+  const harness = await setupHarness(t, {
+    settings: { enableLiking: false, groqApiKey: "gsk_synced" },
+  });
+
+  const { migrateApiKey, loadApiKey } = harness.background.context;
+  assert.strictEqual((await loadApiKey()).key, "");
+
+  await migrateApiKey();
+
+  assert.strictEqual((await loadApiKey()).key, "gsk_synced");
+  assert.strictEqual(harness.world.areas.sync.groqApiKey, undefined);
+  assert.deepStrictEqual(
+    { ...harness.world.areas.local.apiKey },
+    { key: "gsk_synced" }
+  );
+});
+
+test("a locked key is reported instead of calling the provider", async (t) => {
+  const harness = await setupHarness(t, {
+    settings: {
+      enableLiking: false,
+      groqModel: "groq:llama-3.3-70b-versatile",
+    },
+  });
+  await harness.background.context.saveApiKey("gsk_secret", "correct horse");
+  delete harness.world.areas.session.unlockedApiKey;
+  const tab = await harness.openTab();
+
+  await tab.engage(1001);
+
+  const error = await waitUntil(
+    () => harness.messagesOfType("groqApiError")[0],
+    undefined,
+    "the error"
+  );
+  assert.match(error.message.error, /Groq API key is locked/);
+  assert.deepStrictEqual(tab.x.posts, []);
+});
+
+test("keys go in headers, never in the URL", async (t) => {
+  const harness = await setupHarness(t, REPLY_ONLY);
+  const gemini = harness.background.evaluate("PROVIDERS").gemini.buildRequest({
+    model: "gemini-2.0-flash",
+    prompt: "Hi",
+    apiKey: "AIza-secret",
+  });
+  assert.doesNotMatch(gemini.url, /AIza-secret/);
+  assert.strictEqual(gemini.options.headers["x-goog-api-key"], "AIza-secret");
+
+  await harness.background.context.saveApiKey("sk-local");
+  const tab = await harness.openTab();
+  await tab.engage(1001);
+  await waitUntil(() => tab.x.posts.length === 1, undefined, "the reply");
+  const [request] = harness.server.requests;
+  assert.strictEqual(request.headers.authorization, "Bearer sk-local");
+  assert.doesNotMatch(request.path, /sk-local/);
+});
+
+test("Test key reports a valid, invalid or exhausted key", async (t) => {
+  const harness = await setupHarness(t, REPLY_ONLY);
+
+  assert.strictEqual((await testKey(harness, "sk-new")).result, "valid");
+  assert.strictEqual(
+    harness.server.requests[0].headers.authorization,
+    "Bearer sk-new"
+  );
+
+  harness.server.fail(401, "Invalid API Key");
+  assert.deepStrictEqual(await testKey(harness, "sk-new"), {
+    result: "invalid",
+    message: "Local model API key is invalid",
+  });
+
+  // No retry, even with a Retry-After
+  harness.server.fail(429, "Quota exceeded", { "Retry-After": "1" });
+  assert.strictEqual((await testKey(harness, "sk-new")).result, "quota");
+  assert.strictEqual(harness.server.requests.length, 3);
+
+  // An empty field tests the stored key
+  await harness.background.context.saveApiKey("sk-stored");
+  assert.strictEqual((await testKey(harness, "")).result, "valid");
+  assert.strictEqual(
+    harness.server.requests[3].headers.authorization,
+    "Bearer sk-stored"
+  );
+});
@@ -0,0 +1,55 @@
+// Two tabs, one tweet: claims and the stored processed list
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { setupHarness, waitUntil } = require("./helpers/harness.js");
+
+test("a tweet claimed by one tab is skipped by another", async (t) => {
+  const harness = await setupHarness(t);
+  const first = await harness.openTab();
+  const second = await harness.openTab();
+
+  assert.strictEqual(await first.engage(1001, { reply: false }), true);
+  assert.strictEqual(await second.engage(1001, { reply: false }), false);
+
+  assert.deepStrictEqual(first.x.likes, ["/alice/status/1001"]);
+  assert.deepStrictEqual(second.x.likes, []);
+  assert.strictEqual(
+    harness.history.filter((entry) => entry.type === "like").length,
+    1
+  );
+  // The second tab remembers it without asking again
+  assert.strictEqual(second.evaluate('isTweetHandled("1001")'), true);
+});
+
+test("processed tweets survive a worker restart and a reload", async (t) => {
+  const harness = await setupHarness(t);
+  const first = await harness.openTab();
+  await first.engage(1001, { reply: false });
+  await waitUntil(() => harness.world.areas.local.processedTweetIds?.["1001"]);
+
+  // The worker forgets its in-memory copy, the page is loaded again
+  harness.background.evaluate("processedTweetsPromise = null");
+  first.close();
+  const reloaded = await harness.openTab();
+
+  assert.strictEqual(reloaded.evaluate('isTweetHandled("1001")'), true);
+  assert.strictEqual(await reloaded.engage(1001, { reply: false }), false);
+  assert.deepStrictEqual(reloaded.x.likes, []);
+});
+
+test("a tweet nothing happened to is released for a later try", async (t) => {
+  const harness = await setupHarness(t, {
+    settings: { enableLiking: false, enableCommenting: false },
+  });
+  const tab = await harness.openTab();
+
+  assert.strictEqual(await tab.engage(1001), false);
+
+  await waitUntil(
+    () => harness.messagesOfType("releaseTweet").length === 1,
+    undefined,
+    "the release"
+  );
+  await waitUntil(() => !harness.world.areas.local.processedTweetIds?.["1001"]);
+});
@@ -0,0 +1,176 @@
+// Liking and replying through the real content scripts and background
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { setupHarness, waitUntil } = require("./helpers/harness.js");
+const { DEFAULT_REPLY } = require("./helpers/mock_llm_server.js");
+
+// Every test here works on one tab
+async function setup(t, options) {
+  const harness = await setupHarness(t, options);
+  return { harness, tab: await harness.openTab() };
+}
+
+test("likes a tweet and records it", async (t) => {
+  const { harness, tab } = await setup(t);
+
+  assert.strictEqual(await tab.engage(1001, { reply: false }), true);
+
+  assert.deepStrictEqual(tab.x.likes, ["/alice/status/1001"]);
+  const entry = await harness.waitForHistory((entry) => entry.type === "like");
+  assert.strictEqual(entry.tweetUrl, "https://x.com/alice/status/1001");
+  assert.strictEqual(entry.author, "alice");
+  assert.strictEqual(entry.tweetText, "Shipped a new onboarding flow today.");
+  await waitUntil(
+    () => harness.world.areas.local.actionLog?.like?.length === 1
+  );
+});
+
+test("doesn't click like again on a tweet that is already liked", async (t) => {
+  const { harness, tab } = await setup(t);
+
+  await tab.engage(1002, { reply: false });
+
+  assert.deepStrictEqual(tab.x.likes, []);
+  assert.strictEqual(harness.history.length, 0);
+});
+
+test("replies with the model's text in the tweet's own dialog", async (t) => {
+  const { harness, tab } = await setup(t, {
+    settings: { enableLiking: false },
+  });
+
+  assert.strictEqual(await tab.engage(1001), true);
+
+  const entry = await harness.waitForHistory((entry) => entry.type === "reply");
+  assert.deepStrictEqual(tab.x.posts, [
+    { statusPath: "/alice/status/1001", text: DEFAULT_REPLY },
+  ]);
+  assert.strictEqual(entry.reply, DEFAULT_REPLY);
+  assert.strictEqual(entry.model, "local:mock-model");
+  assert.match(harness.server.prompts[0], /Shipped a new onboarding flow/);
+  assert.strictEqual(harness.server.requests[0].body.model, "mock-model");
+});
+
+test("sends the parent tweet along as context for a reply", async (t) => {
+  const { harness, tab } = await setup(t, {
+    settings: { enableLiking: false },
+  });
+
+  await tab.engage(1003);
+  await harness.waitForHistory((entry) => entry.type === "reply");
+
+  const request = harness.messagesOfType("groqApiRequest")[0].message;
+  assert.deepStrictEqual(
+    request.data.context.parents.map((parent) => parent.author.handle),
+    ["bob"]
+  );
+  assert.match(harness.server.prompts[0], /Coffee first, then code/);
+});
+
+test("records a failed reply when X shows an error toast", async (t) => {
+  const { harness, tab } = await setup(t, {
+    settings: { enableLiking: false },
+  });
+  tab.x.failPosts = true;
+
+  await tab.engage(1001);
+
+  const entry = await harness.waitForHistory(
+    (entry) => entry.type === "reply_failed"
+  );
+  assert.match(entry.error, /went wrong/);
+  assert.deepStrictEqual(tab.x.posts, []);
+});
+
+test("skips promoted tweets", async (t) => {
+  const { harness, tab } = await setup(t);
+  const promoted = tab.document.querySelector(
+    '[data-testid="placementTracking"] article'
+  );
+  tab.context.shouldCommentFast = () => true;
+  tab.evaluate("automationEnabled = true");
+
+  assert.strictEqual(
+    await tab.context.engageWithTweetFast(promoted, "9001"),
+    false
+  );
+
+  assert.deepStrictEqual(tab.x.likes, []);
+  assert.strictEqual(tab.x.openedDialogs, 0);
+  assert.strictEqual(harness.server.requests.length, 0);
+});
+
+test("tweets from a dry run are liked once it is switched off", async (t) => {
+  const { harness, tab } = await setup(t, { settings: { dryRun: true } });
+
+  await tab.engage(1001, { reply: false });
+  assert.deepStrictEqual(tab.x.likes, []);
+  assert.strictEqual(tab.context.isTweetHandled("1001"), true);
+
+  await harness.background.context.saveSettings({ dryRun: false });
+  await waitUntil(() => tab.evaluate("settings.dryRun") === false);
+
+  assert.strictEqual(tab.context.isTweetHandled("1001"), false);
+  assert.strictEqual(await tab.engage(1001, { reply: false }), true);
+  assert.deepStrictEqual(tab.x.likes, ["/alice/status/1001"]);
+});
+
+test("regex rules ignore the g and y flags", async (t) => {
+  const { tab } = await setup(t);
+  const { evaluateRules } = tab.context;
+
+  // Sticky would only match at the start, global from where it left off
+  for (const includeKeywords of ["/today/g", "/today/y"]) {
+    const rules = { includeKeywords, skipPromoted: false };
+    for (let i = 0; i < 2; i++) {
+      const decision = evaluateRules(rules, { text: "Shipped it today" });
+      assert.strictEqual(decision.allowed, true, `${includeKeywords} #${i}`);
+    }
+  }
+});
+
+test("automation on the runner tab works through the timeline", async (t) => {
+  const harness = await setupHarness(t);
+  // Only the tweets that still need a like
+  const tab = await harness.openTab({
+    prepare(document) {
+      document
+        .querySelector('a[href="/bob/status/1002"]')
+        .closest('[data-testid="tweet"]')
+        .remove();
+    },
+  });
+  tab.context.shouldCommentFast = () => false;
+
+  await harness.sendFromPopup({ type: "setAutomation", mode: "on" });
+
+  await waitUntil(() => tab.x.likes.length === 2, 20000, "both likes");
+  assert.deepStrictEqual(tab.x.likes, [
+    "/alice/status/1001",
+    "/carol/status/1003",
+  ]);
+  await harness.sendFromPopup({ type: "setAutomation", mode: "off" });
+});
+
+test("the session limit stops automation even when nothing is done", async (t) => {
+  const harness = await setupHarness(t, {
+    settings: {
+      enableLiking: false,
+      enableCommenting: false,
+      maxSessionMinutes: 1,
+    },
+  });
+  await harness.openTab();
+
+  await harness.sendFromPopup({ type: "setAutomation", mode: "on" });
+  harness.world.areas.local.sessionStartedAt = Date.now() - 2 * 60 * 1000;
+
+  const status = await waitUntil(async () => {
+    const status = await harness.sendFromPopup({
+      type: "getAutomationStatus",
+    });
+    return status.mode === "off" ? status : null;
+  });
+  assert.strictEqual(status.reason, "Session limit reached (1 min)");
+});
@@ -0,0 +1,245 @@
+// When things go wrong: provider errors, moderation and X renaming markup
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { setupHarness, waitUntil } = require("./helpers/harness.js");
+
+const REPLY_ONLY = { settings: { enableLiking: false } };
+
+// A 400 isn't retried, so the fallback policy decides straight away
+function failNext(harness, times = 1) {
+  for (let i = 0; i < times; i++) {
+    harness.server.fail(400, "Context length exceeded");
+  }
+}
+
+function fallbackEntries(harness) {
+  return harness.history.filter((entry) => entry.type === "fallback");
+}
+
+test("by default a failed reply is skipped, not faked", async (t) => {
+  const harness = await setupHarness(t, REPLY_ONLY);
+  failNext(harness);
+  const tab = await harness.openTab();
+
+  await tab.engage(1001);
+
+  const entry = await harness.waitForHistory(
+    (entry) => entry.type === "fallback"
+  );
+  assert.strictEqual(entry.fallback, "skip");
+  assert.match(entry.error, /rejected the request: Context length exceeded/);
+  await waitUntil(() => harness.messagesOfType("groqApiError").length === 1);
+  await waitUntil(() => !tab.document.querySelector('[role="dialog"]'));
+  assert.deepStrictEqual(tab.x.posts, []);
+  // Failures aren't cached as if the model had written them
+  assert.strictEqual(harness.world.areas.local.replyCache, undefined);
+});
+
+test("fallback replies are used least-used first within their caps", async (t) => {
+  const harness = await setupHarness(t, {
+    settings: {
+      enableLiking: false,
+      fallbackPolicy: "list",
+      fallbackReplies: [
+        { id: "a", text: "Good luck with the launch!", maxPerDay: 1 },
+        { id: "b", text: "Rooting for you on this one.", maxPerDay: 1 },
+      ],
+    },
+  });
+  failNext(harness, 3);
+  const tab = await harness.openTab();
+
+  for (const statusId of [1001, 1002]) {
+    await tab.engage(statusId);
+    await waitUntil(() =>
+      tab.x.posts.some((post) => post.statusPath.endsWith(`/${statusId}`))
+    );
+  }
+  await tab.engage(1003);
+  await waitUntil(() => fallbackEntries(harness).length === 3);
+
+  assert.deepStrictEqual(
+    tab.x.posts.map((post) => post.text),
+    ["Good luck with the launch!", "Rooting for you on this one."]
+  );
+  const entries = fallbackEntries(harness);
+  assert.deepStrictEqual(
+    entries.map((entry) => entry.fallback),
+    ["list", "list", "skip"]
+  );
+  assert.match(entries[2].error, /no fallback reply left for today/);
+  const reply = await harness.waitForHistory((entry) => entry.type === "reply");
+  assert.strictEqual(reply.model, "fallback");
+});
+
+test("two failures at once can't both take a reply's last use", async (t) => {
+  const harness = await setupHarness(t, REPLY_ONLY);
+  const settings = {
+    fallbackReplies: [
+      { id: "a", text: "Good luck with the launch!", maxPerDay: 1 },
+    ],
+  };
+
+  const { takeFallbackReply } = harness.background.context;
+
+  const taken = await Promise.all([
+    takeFallbackReply(settings),
+    takeFallbackReply(settings),
+  ]);
+  assert.deepStrictEqual(taken, ["Good luck with the launch!", null]);
+  assert.strictEqual(harness.world.areas.local.fallbackUsage.a.length, 1);
+});
+
+test("retry later hands the tweet back and pauses replies", async (t) => {
+  const harness = await setupHarness(t, {
+    settings: { enableLiking: false, fallbackPolicy: "retry" },
+  });
+  failNext(harness);
+  const tab = await harness.openTab();
+
+  await tab.engage(1001);
+
+  await waitUntil(() => fallbackEntries(harness).length === 1);
+  assert.strictEqual(fallbackEntries(harness)[0].fallback, "retry");
+  await waitUntil(
+    () => tab.evaluate("repliesPausedUntil") > Date.now() + 4 * 60 * 1000,
+    undefined,
+    "the pause"
+  );
+  await waitUntil(() => !tab.evaluate('isTweetHandled("1001")'));
+  assert.strictEqual(
+    harness.world.areas.local.processedTweetIds["1001"],
+    undefined
+  );
+});
+
+test("queue for review parks the tweet without a reply", async (t) => {
+  const harness = await setupHarness(t, {
+    settings: { enableLiking: false, fallbackPolicy: "review" },
+  });
+  failNext(harness);
+  const tab = await harness.openTab();
+
+  await tab.engage(1001);
+
+  const draft = await waitUntil(
+    () => harness.world.areas.local.reviewQueue?.[0],
+    undefined,
+    "the draft"
+  );
+  assert.strictEqual(draft.tweetUrl, "https://x.com/alice/status/1001");
+  assert.strictEqual(draft.reply, "");
+  assert.match(draft.error, /^Reply generation failed: /);
+  assert.strictEqual(fallbackEntries(harness)[0].fallback, "review");
+
+  // Nothing to post until the reviewer writes or regenerates one
+  const result = await harness.sendFromPopup({
+    type: "approveDraft",
+    draftId: draft.id,
+  });
+  assert.deepStrictEqual(result, { status: "failed" });
+  assert.deepStrictEqual(tab.x.posts, []);
+});
+
+test("moderation regenerates rejected replies and gives up after three", async (t) => {
+  const harness = await setupHarness(t, REPLY_ONLY);
+  for (let i = 0; i < 3; i++) {
+    harness.server.reply(`Read more at example.com/post-${i}`);
+  }
+  const tab = await harness.openTab();
+
+  await tab.engage(1001);
+
+  const error = await waitUntil(
+    () => harness.messagesOfType("groqApiError")[0],
+    undefined,
+    "the error"
+  );
+  assert.match(error.message.error, /rejected by moderation: contains a link/);
+  assert.strictEqual(harness.server.requests.length, 3);
+  assert.strictEqual(
+    harness.history.filter((entry) => entry.type === "moderation_rejected")
+      .length,
+    3
+  );
+  assert.deepStrictEqual(tab.x.posts, []);
+});
+
+test("renamed data-testids are found through the fallbacks", async (t) => {
+  const harness = await setupHarness(t);
+  const renamed = { tweet: "cellPost", like: "heart", reply: "comment" };
+  const tab = await harness.openTab({
+    prepare(document) {
+      for (const [from, to] of Object.entries(renamed)) {
+        for (const element of document.querySelectorAll(
+          `[data-testid="${from}"]`
+        )) {
+          element.setAttribute("data-testid", to);
+        }
+      }
+    },
+  });
+
+  assert.strictEqual(await tab.engage(1001), true);
+
+  await waitUntil(() => tab.x.posts.length === 1, undefined, "the reply");
+  assert.deepStrictEqual(tab.x.likes, ["/alice/status/1001"]);
+  assert.strictEqual(tab.x.posts[0].statusPath, "/alice/status/1001");
+});
+
+test("an empty list isn't mistaken for broken selectors", async (t) => {
+  const harness = await setupHarness(t, {
+    settings: { enableLiking: false, enableCommenting: false },
+  });
+  const tab = await harness.openTab({
+    url: "https://x.com/i/bookmarks",
+    prepare(document) {
+      document.querySelector('[aria-label^="Timeline"]').innerHTML =
+        '<div data-testid="emptyState">Save posts for later</div>';
+    },
+  });
+
+  assert.strictEqual(await tab.evaluate("verifySelectors()"), true);
+  await harness.sendFromPopup({ type: "setAutomation", mode: "on" });
+
+  await waitUntil(
+    () =>
+      harness.world.areas.session.tabStatuses?.[tab.id]?.state === "running",
+    undefined,
+    "the tab to run"
+  );
+  const status = await harness.sendFromPopup({ type: "getAutomationStatus" });
+  assert.strictEqual(status.mode, "on");
+  assert.strictEqual(tab.evaluate("selectorProblem"), "");
+});
+
+test("automation pauses when the selectors stop matching", async (t) => {
+  const harness = await setupHarness(t);
+  const tab = await harness.openTab({
+    prepare(document) {
+      for (const group of document.querySelectorAll('[role="group"]')) {
+        group.remove();
+      }
+    },
+  });
+
+  await harness.sendFromPopup({ type: "setAutomation", mode: "on" });
+
+  const status = await waitUntil(async () => {
+    const status = await harness.sendFromPopup({
+      type: "getAutomationStatus",
+    });
+    return status.mode === "paused" ? status : null;
+  });
+  assert.match(status.reason, /^Selectors broken: like, reply not found/);
+  await waitUntil(
+    () =>
+      harness.world.areas.session.tabStatuses?.[tab.id]?.state ===
+      "selectors_broken",
+    undefined,
+    "the tab status"
+  );
+  assert.strictEqual(tab.evaluate("automationEnabled"), false);
+  assert.deepStrictEqual(tab.x.likes, []);
+});
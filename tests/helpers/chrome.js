@@ -0,0 +1,234 @@
+// chrome.js - an in-memory chrome.* shared by one background and its tabs
+//
+// createExtensionWorld() holds what Chrome would: the manifest, the three
+// storage areas, open tabs, alarms and every message sent. createChrome() gives one
+// context (the background, or a tab's content scripts) its view of it.
+// Messages and storage values go through JSON like they do in Chrome, and
+// listeners are called asynchronously.
+
+const NO_RECEIVER_ERROR =
+  "Could not establish connection. Receiving end does not exist.";
+
+function cloneJson(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function later(callback) {
+  setTimeout(callback, 0);
+}
+
+function createEvent() {
+  const listeners = [];
+  return {
+    listeners,
+    addListener(listener) {
+      listeners.push(listener);
+    },
+    removeListener(listener) {
+      const index = listeners.indexOf(listener);
+      if (index !== -1) listeners.splice(index, 1);
+    },
+    hasListener(listener) {
+      return listeners.includes(listener);
+    },
+    emit(...args) {
+      for (const listener of [...listeners]) listener(...args);
+    },
+  };
+}
+
+function createExtensionWorld(manifest = {}) {
+  return {
+    manifest,
+    areas: { sync: {}, local: {}, session: {} },
+    storageEvents: [],
+    backgroundMessages: null,
+    tabs: new Map(),
+    tabEvents: {
+      onActivated: createEvent(),
+      onRemoved: createEvent(),
+      onUpdated: createEvent(),
+    },
+    alarms: new Map(),
+    alarmEvent: createEvent(),
+    injections: [],
+    // { to: "background" | tabId, message, sender }
+    messages: [],
+  };
+}
+
+// Runs the listeners like Chrome does: the first sendResponse wins, and a
+// listener has to return true to answer after it returned
+function deliverMessage(world, event, to, message, sender) {
+  world.messages.push({ to, message: cloneJson(message), sender });
+
+  return new Promise((resolve, reject) => {
+    later(() => {
+      if (!event || event.listeners.length === 0) {
+        reject(new Error(NO_RECEIVER_ERROR));
+        return;
+      }
+
+      let responded = false;
+      let keepOpen = false;
+      const sendResponse = (response) => {
+        if (responded) return;
+        responded = true;
+        resolve(cloneJson(response));
+      };
+      for (const listener of [...event.listeners]) {
+        if (listener(cloneJson(message), sender, sendResponse) === true) {
+          keepOpen = true;
+        }
+      }
+      if (!keepOpen && !responded) resolve(undefined);
+    });
+  });
+}
+
+function createStorageArea(world, areaName) {
+  const data = world.areas[areaName];
+
+  const emitChanges = (changes) => {
+    if (Object.keys(changes).length === 0) return;
+    later(() => {
+      for (const event of world.storageEvents) {
+        event.emit(cloneJson(changes), areaName);
+      }
+    });
+  };
+
+  return {
+    async get(keys) {
+      if (keys === null || keys === undefined) return cloneJson(data);
+      if (typeof keys === "string") keys = [keys];
+
+      const defaults = Array.isArray(keys) ? {} : keys;
+      const items = cloneJson(defaults);
+      for (const key of Array.isArray(keys) ? keys : Object.keys(keys)) {
+        if (key in data) items[key] = cloneJson(data[key]);
+      }
+      return items;
+    },
+
+    async set(items) {
+      const changes = {};
+      for (const [key, value] of Object.entries(cloneJson(items))) {
+        changes[key] = { oldValue: data[key], newValue: value };
+        data[key] = value;
+      }
+      emitChanges(changes);
+    },
+
+    async remove(keys) {
+      const changes = {};
+      for (const key of [].concat(keys)) {
+        if (!(key in data)) continue;
+        changes[key] = { oldValue: data[key] };
+        delete data[key];
+      }
+      emitChanges(changes);
+    },
+
+    async clear() {
+      await this.remove(Object.keys(data));
+    },
+  };
+}
+
+// tab: the chrome.tabs.Tab the content scripts run in, or null for the
+// background service worker
+function createChrome(world, tab) {
+  const onMessage = createEvent();
+  const onChanged = createEvent();
+  world.storageEvents.push(onChanged);
+
+  if (tab) {
+    world.tabs.get(tab.id).onMessage = onMessage;
+  } else {
+    world.backgroundMessages = onMessage;
+  }
+
+  return {
+    runtime: {
+      id: "replyx-test",
+      onMessage,
+      onInstalled: createEvent(),
+      onStartup: createEvent(),
+      getURL: (path) => `chrome-extension://replyx-test/${path}`,
+      getManifest: () => cloneJson(world.manifest),
+      sendMessage(message) {
+        return deliverMessage(
+          world,
+          world.backgroundMessages,
+          "background",
+          message,
+          tab ? { id: "replyx-test", tab: { ...tab } } : { id: "replyx-test" }
+        );
+      },
+    },
+
+    storage: {
+      sync: createStorageArea(world, "sync"),
+      local: createStorageArea(world, "local"),
+      session: createStorageArea(world, "session"),
+      onChanged,
+    },
+
+    tabs: {
+      ...world.tabEvents,
+      async query() {
+        // Every tab in the test world is an X tab
+        return [...world.tabs.values()].map(({ tab }) => ({ ...tab }));
+      },
+      sendMessage(tabId, message) {
+        return deliverMessage(
+          world,
+          world.tabs.get(tabId)?.onMessage,
+          tabId,
+          message,
+          { id: "replyx-test" }
+        );
+      },
+      async create(properties) {
+        return { id: -1, ...properties };
+      },
+    },
+
+    scripting: {
+      async executeScript(injection) {
+        world.injections.push(cloneJson(injection));
+        return [];
+      },
+    },
+
+    alarms: {
+      onAlarm: world.alarmEvent,
+      async create(name, info) {
+        const scheduledTime =
+          info.when ?? Date.now() + (info.delayInMinutes || 0) * 60000;
+        world.alarms.set(name, {
+          name,
+          scheduledTime,
+          periodInMinutes: info.periodInMinutes,
+        });
+      },
+      async get(name) {
+        return cloneJson(world.alarms.get(name));
+      },
+      async clear(name) {
+        return world.alarms.delete(name);
+      },
+    },
+  };
+}
+
+// What Chrome does when an alarm goes off
+function fireAlarm(world, name) {
+  const alarm = world.alarms.get(name);
+  if (!alarm) throw new Error(`No alarm named ${name}`);
+  if (!alarm.periodInMinutes) world.alarms.delete(name);
+  world.alarmEvent.emit(cloneJson(alarm));
+}
+
+module.exports = { createExtensionWorld, createChrome, fireAlarm, cloneJson };
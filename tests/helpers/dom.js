@@ -0,0 +1,692 @@
+// dom.js - just enough DOM for the content scripts to run in Node
+//
+// Parses fixture HTML into elements that support the selectors used in
+// selectors.js and the content scripts, events with bubbling, textContent
+// and innerHTML, and a MutationObserver for added nodes. There is no
+// layout: every element reports the same in-view box.
+
+const VOID_TAGS = new Set([
+  "area",
+  "br",
+  "col",
+  "embed",
+  "hr",
+  "img",
+  "input",
+  "link",
+  "meta",
+  "source",
+  "wbr",
+]);
+const RAW_TEXT_TAGS = new Set(["script", "style"]);
+const ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " ",
+};
+const ELEMENT_RECT = {
+  top: 100,
+  bottom: 300,
+  left: 0,
+  right: 600,
+  width: 600,
+  height: 200,
+};
+
+class Node {
+  constructor(ownerDocument) {
+    this.ownerDocument = ownerDocument;
+    this.parentNode = null;
+    this.childNodes = [];
+    this.listeners = new Map();
+  }
+
+  get isConnected() {
+    let node = this;
+    while (node.parentNode) node = node.parentNode;
+    return node === this.ownerDocument;
+  }
+
+  get children() {
+    return this.childNodes.filter((node) => node instanceof Element);
+  }
+
+  get textContent() {
+    return this.childNodes.map((node) => node.textContent).join("");
+  }
+
+  set textContent(text) {
+    this.replaceChildren(String(text ?? ""));
+  }
+
+  appendChild(node) {
+    if (node.parentNode) node.remove();
+    node.parentNode = this;
+    this.childNodes.push(node);
+    this.ownerDocument.notifyAdded(this, node);
+    return node;
+  }
+
+  append(...nodes) {
+    for (const node of nodes) {
+      this.appendChild(
+        typeof node === "string" ? new Text(this.ownerDocument, node) : node
+      );
+    }
+  }
+
+  replaceChildren(...nodes) {
+    for (const child of [...this.childNodes]) child.remove();
+    this.append(...nodes.filter((node) => node !== ""));
+  }
+
+  remove() {
+    if (!this.parentNode) return;
+    const siblings = this.parentNode.childNodes;
+    siblings.splice(siblings.indexOf(this), 1);
+    this.parentNode = null;
+  }
+
+  contains(node) {
+    for (let current = node; current; current = current.parentNode) {
+      if (current === this) return true;
+    }
+    return false;
+  }
+
+  addEventListener(type, listener) {
+    if (!this.listeners.has(type)) this.listeners.set(type, []);
+    this.listeners.get(type).push(listener);
+  }
+
+  removeEventListener(type, listener) {
+    const listeners = this.listeners.get(type) || [];
+    const index = listeners.indexOf(listener);
+    if (index !== -1) listeners.splice(index, 1);
+  }
+
+  // Target first, then up through the ancestors while the event bubbles
+  dispatchEvent(event) {
+    event.target = event.target || this;
+    for (let node = this; node; node = node.parentNode) {
+      event.currentTarget = node;
+      for (const listener of [...(node.listeners.get(event.type) || [])]) {
+        if (typeof listener === "function") {
+          listener.call(node, event);
+        } else {
+          listener.handleEvent(event);
+        }
+      }
+      if (!event.bubbles || event.propagationStopped) break;
+    }
+    event.currentTarget = null;
+    return !event.defaultPrevented;
+  }
+
+  querySelectorAll(selector) {
+    const selectors = parseSelector(selector);
+    return getDescendants(this).filter((element) =>
+      matchesSelectorList(element, selectors)
+    );
+  }
+
+  querySelector(selector) {
+    return this.querySelectorAll(selector)[0] || null;
+  }
+
+  getElementById(id) {
+    return (
+      getDescendants(this).find(
+        (element) => element.getAttribute("id") === id
+      ) || null
+    );
+  }
+}
+
+class Text extends Node {
+  constructor(ownerDocument, data) {
+    super(ownerDocument);
+    this.data = data;
+  }
+
+  get textContent() {
+    return this.data;
+  }
+
+  set textContent(text) {
+    this.data = String(text ?? "");
+  }
+}
+
+class Element extends Node {
+  constructor(ownerDocument, tagName) {
+    super(ownerDocument);
+    this.localName = tagName.toLowerCase();
+    this.attributes = new Map();
+    this.style = {};
+  }
+
+  get tagName() {
+    return this.localName.toUpperCase();
+  }
+
+  getAttribute(name) {
+    return this.attributes.has(name) ? this.attributes.get(name) : null;
+  }
+
+  setAttribute(name, value) {
+    this.attributes.set(name, String(value));
+  }
+
+  removeAttribute(name) {
+    this.attributes.delete(name);
+  }
+
+  hasAttribute(name) {
+    return this.attributes.has(name);
+  }
+
+  get id() {
+    return this.getAttribute("id") || "";
+  }
+
+  set id(value) {
+    this.setAttribute("id", value);
+  }
+
+  get className() {
+    return this.getAttribute("class") || "";
+  }
+
+  set className(value) {
+    this.setAttribute("class", value);
+  }
+
+  // Links resolve against the page URL like they do in a browser
+  get href() {
+    const href = this.getAttribute("href");
+    return href === null
+      ? ""
+      : new URL(href, this.ownerDocument.location.href).href;
+  }
+
+  set innerHTML(html) {
+    this.replaceChildren(...parseHTML(html, this.ownerDocument));
+  }
+
+  matches(selector) {
+    return matchesSelectorList(this, parseSelector(selector));
+  }
+
+  closest(selector) {
+    const selectors = parseSelector(selector);
+    for (let node = this; node instanceof Element; node = node.parentNode) {
+      if (matchesSelectorList(node, selectors)) return node;
+    }
+    return null;
+  }
+
+  click() {
+    this.dispatchEvent(new Event("click", { bubbles: true, cancelable: true }));
+  }
+
+  focus() {
+    this.ownerDocument.activeElement = this;
+  }
+
+  getBoundingClientRect() {
+    return { ...ELEMENT_RECT };
+  }
+
+  scrollIntoView() {}
+}
+
+class Document extends Node {
+  constructor(html, url) {
+    super(null);
+    this.ownerDocument = this;
+    this.location = new URL(url);
+    this.readyState = "complete";
+    this.hidden = false;
+    this.activeElement = null;
+    this.observers = [];
+
+    const nodes = parseHTML(html, this);
+    const root =
+      nodes.find(
+        (node) => node instanceof Element && node.localName === "html"
+      ) || this.createElement("html");
+    this.appendChild(root);
+    if (!root.querySelector("body")) {
+      const body = this.createElement("body");
+      body.append(...nodes.filter((node) => node !== root));
+      root.appendChild(body);
+    }
+  }
+
+  get documentElement() {
+    return this.children[0];
+  }
+
+  get body() {
+    return this.querySelector("body");
+  }
+
+  createElement(tagName) {
+    return new Element(this, tagName);
+  }
+
+  createTextNode(text) {
+    return new Text(this, text);
+  }
+
+  notifyAdded(parent, node) {
+    for (const { observer, target, subtree } of this.observers) {
+      if (parent === target || (subtree && target.contains(parent))) {
+        observer.queueRecord({
+          type: "childList",
+          target: parent,
+          addedNodes: [node],
+        });
+      }
+    }
+  }
+}
+
+class MutationObserver {
+  constructor(callback) {
+    this.callback = callback;
+    this.records = [];
+    this.documents = new Set();
+  }
+
+  observe(target, options = {}) {
+    const document = target.ownerDocument;
+    document.observers.push({
+      observer: this,
+      target,
+      subtree: Boolean(options.subtree),
+    });
+    this.documents.add(document);
+  }
+
+  disconnect() {
+    for (const document of this.documents) {
+      document.observers = document.observers.filter(
+        ({ observer }) => observer !== this
+      );
+    }
+    this.records = [];
+  }
+
+  // Batched per microtask, like the real thing
+  queueRecord(record) {
+    this.records.push(record);
+    if (this.records.length > 1) return;
+    queueMicrotask(() => {
+      const records = this.records;
+      this.records = [];
+      if (records.length > 0) this.callback(records, this);
+    });
+  }
+}
+
+class Event {
+  constructor(type, init = {}) {
+    this.type = type;
+    this.bubbles = Boolean(init.bubbles);
+    this.cancelable = Boolean(init.cancelable);
+    this.defaultPrevented = false;
+    this.propagationStopped = false;
+    this.target = null;
+    this.currentTarget = null;
+  }
+
+  preventDefault() {
+    if (this.cancelable) this.defaultPrevented = true;
+  }
+
+  stopPropagation() {
+    this.propagationStopped = true;
+  }
+}
+
+class KeyboardEvent extends Event {
+  constructor(type, init = {}) {
+    super(type, init);
+    this.key = init.key || "";
+  }
+}
+
+class InputEvent extends Event {
+  constructor(type, init = {}) {
+    super(type, init);
+    this.inputType = init.inputType || "";
+    this.data = init.data ?? null;
+  }
+}
+
+class ClipboardEvent extends Event {
+  constructor(type, init = {}) {
+    super(type, init);
+    this.clipboardData = init.clipboardData || null;
+  }
+}
+
+class DataTransfer {
+  constructor() {
+    this.items = new Map();
+  }
+
+  setData(type, value) {
+    this.items.set(type, String(value));
+  }
+
+  getData(type) {
+    return this.items.get(type) || "";
+  }
+}
+
+function getDescendants(root) {
+  const elements = [];
+  const visit = (node) => {
+    for (const child of node.childNodes) {
+      if (!(child instanceof Element)) continue;
+      elements.push(child);
+      visit(child);
+    }
+  };
+  visit(root);
+  return elements;
+}
+
+function decodeEntities(text) {
+  return text.replace(/&(#x?[0-9a-f]+|\w+);/gi, (match, name) => {
+    if (name[0] !== "#") return ENTITIES[name] ?? match;
+    const code =
+      name[1] === "x"
+        ? parseInt(name.slice(2), 16)
+        : parseInt(name.slice(1), 10);
+    return String.fromCodePoint(code);
+  });
+}
+
+// Forgiving parser for well-formed fixture markup; returns top-level nodes
+function parseHTML(html, document) {
+  const root = { childNodes: [] };
+  const stack = [root];
+  const current = () => stack[stack.length - 1];
+  const add = (node) => {
+    const parent = current();
+    if (parent instanceof Node) {
+      parent.appendChild(node);
+    } else {
+      parent.childNodes.push(node);
+    }
+  };
+
+  const tokens =
+    /<!--[\s\S]*?-->|<!doctype[^>]*>|<\/([a-zA-Z][\w-]*)\s*>|<([a-zA-Z][\w-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>|[^<]+|</gi;
+  let match;
+  while ((match = tokens.exec(html))) {
+    const [token, closingTag, openingTag, attributes, selfClosing] = match;
+
+    if (token.startsWith("<!")) continue;
+
+    if (closingTag) {
+      const name = closingTag.toLowerCase();
+      const index = stack.findLastIndex(
+        (node) => node instanceof Element && node.localName === name
+      );
+      if (index > 0) stack.length = index;
+      continue;
+    }
+
+    if (openingTag) {
+      const element = document.createElement(openingTag);
+      const attributePattern =
+        /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+      let attribute;
+      while ((attribute = attributePattern.exec(attributes))) {
+        element.setAttribute(
+          attribute[1].toLowerCase(),
+          decodeEntities(attribute[2] ?? attribute[3] ?? attribute[4] ?? "")
+        );
+      }
+      add(element);
+
+      if (RAW_TEXT_TAGS.has(element.localName)) {
+        // Script and style bodies are kept as text, never run
+        const end = html
+          .toLowerCase()
+          .indexOf(`</${element.localName}`, tokens.lastIndex);
+        const stop = end === -1 ? html.length : end;
+        element.append(html.slice(tokens.lastIndex, stop));
+        tokens.lastIndex = stop;
+      } else if (!selfClosing && !VOID_TAGS.has(element.localName)) {
+        stack.push(element);
+      }
+      continue;
+    }
+
+    add(new Text(document, decodeEntities(token)));
+  }
+
+  for (const node of root.childNodes) node.parentNode = null;
+  return root.childNodes;
+}
+
+// Selector lists of compound selectors joined by descendant or child
+// combinators. Supports tag, *, #id, .class, [attr], [attr op value] with
+// = ^= $= *= ~= and :not(). Anything else throws, so a selector the fake
+// can't handle is noticed instead of silently matching nothing.
+const selectorCache = new Map();
+
+function parseSelector(selector) {
+  if (!selectorCache.has(selector)) {
+    selectorCache.set(selector, new SelectorParser(selector).parseList());
+  }
+  return selectorCache.get(selector);
+}
+
+class SelectorParser {
+  constructor(text) {
+    this.text = text;
+    this.index = 0;
+  }
+
+  peek() {
+    return this.text[this.index];
+  }
+
+  skipSpace() {
+    const start = this.index;
+    while (/\s/.test(this.peek() || "")) this.index++;
+    return this.index > start;
+  }
+
+  fail(message) {
+    throw new SyntaxError(`${message} in selector "${this.text}"`);
+  }
+
+  readName() {
+    const match = /^[\w-]+/.exec(this.text.slice(this.index));
+    if (!match) this.fail("Expected a name");
+    this.index += match[0].length;
+    return match[0];
+  }
+
+  parseList(closing = "") {
+    const list = [this.parseComplex(closing)];
+    while (this.peek() === ",") {
+      this.index++;
+      list.push(this.parseComplex(closing));
+    }
+    return list;
+  }
+
+  // [{ combinator, compound }], combinator being how it relates to the left
+  parseComplex(closing) {
+    const parts = [];
+    let combinator = "";
+    this.skipSpace();
+    while (this.index < this.text.length) {
+      parts.push({ combinator, compound: this.parseCompound() });
+
+      const hadSpace = this.skipSpace();
+      const next = this.peek();
+      if (next === undefined || next === "," || next === closing) break;
+      if (next === ">") {
+        this.index++;
+        this.skipSpace();
+        combinator = ">";
+      } else if (hadSpace) {
+        combinator = " ";
+      } else {
+        this.fail(`Unexpected "${next}"`);
+      }
+    }
+    if (parts.length === 0) this.fail("Empty selector");
+    return parts;
+  }
+
+  parseCompound() {
+    const compound = { tag: null, tests: [] };
+    let universal = false;
+    if (this.peek() === "*") {
+      this.index++;
+      universal = true;
+    } else if (/[\w-]/.test(this.peek() || "")) {
+      compound.tag = this.readName().toLowerCase();
+    }
+
+    for (;;) {
+      const next = this.peek();
+      if (next === "#") {
+        this.index++;
+        const id = this.readName();
+        compound.tests.push((element) => element.getAttribute("id") === id);
+      } else if (next === ".") {
+        this.index++;
+        const name = this.readName();
+        compound.tests.push((element) =>
+          element.className.split(/\s+/).includes(name)
+        );
+      } else if (next === "[") {
+        compound.tests.push(this.parseAttribute());
+      } else if (next === ":") {
+        compound.tests.push(this.parsePseudo());
+      } else {
+        break;
+      }
+    }
+
+    if (!universal && !compound.tag && compound.tests.length === 0) {
+      this.fail("Expected a selector");
+    }
+    return compound;
+  }
+
+  parseAttribute() {
+    this.index++; // [
+    this.skipSpace();
+    const name = this.readName().toLowerCase();
+    this.skipSpace();
+
+    const operator = /^[~^$*|]?=/.exec(this.text.slice(this.index));
+    if (!operator) {
+      if (this.peek() !== "]") this.fail("Expected ]");
+      this.index++;
+      return (element) => element.hasAttribute(name);
+    }
+    this.index += operator[0].length;
+    this.skipSpace();
+
+    let value;
+    const quote = this.peek();
+    if (quote === '"' || quote === "'") {
+      const end = this.text.indexOf(quote, this.index + 1);
+      if (end === -1) this.fail("Unterminated string");
+      value = this.text.slice(this.index + 1, end);
+      this.index = end + 1;
+    } else {
+      value = this.readName();
+    }
+    this.skipSpace();
+    if (this.peek() !== "]") this.fail("Expected ]");
+    this.index++;
+
+    const compare = {
+      "=": (actual) => actual === value,
+      "^=": (actual) => value !== "" && actual.startsWith(value),
+      "$=": (actual) => value !== "" && actual.endsWith(value),
+      "*=": (actual) => value !== "" && actual.includes(value),
+      "~=": (actual) => actual.split(/\s+/).includes(value),
+      "|=": (actual) => actual === value || actual.startsWith(`${value}-`),
+    }[operator[0]];
+    return (element) => {
+      const actual = element.getAttribute(name);
+      return actual !== null && compare(actual);
+    };
+  }
+
+  parsePseudo() {
+    this.index++; // :
+    const name = this.readName();
+    if (name !== "not" || this.peek() !== "(") {
+      this.fail(`Unsupported pseudo-class :${name}`);
+    }
+    this.index++;
+    const inner = this.parseList(")");
+    if (this.peek() !== ")") this.fail("Expected )");
+    this.index++;
+    return (element) => !matchesSelectorList(element, inner);
+  }
+}
+
+function matchesSelectorList(element, list) {
+  return list.some((parts) => matchesComplex(element, parts, parts.length - 1));
+}
+
+// Right to left: the last compound must match the element itself
+function matchesComplex(element, parts, index) {
+  const { combinator, compound } = parts[index];
+  if (!matchesCompound(element, compound)) return false;
+  if (index === 0) return true;
+
+  if (combinator === ">") {
+    const parent = element.parentNode;
+    return (
+      parent instanceof Element && matchesComplex(parent, parts, index - 1)
+    );
+  }
+  for (
+    let ancestor = element.parentNode;
+    ancestor instanceof Element;
+    ancestor = ancestor.parentNode
+  ) {
+    if (matchesComplex(ancestor, parts, index - 1)) return true;
+  }
+  return false;
+}
+
+function matchesCompound(element, { tag, tests }) {
+  if (tag && element.localName !== tag) return false;
+  return tests.every((test) => test(element));
+}
+
+module.exports = {
+  Document,
+  Element,
+  Text,
+  Event,
+  KeyboardEvent,
+  InputEvent,
+  ClipboardEvent,
+  DataTransfer,
+  MutationObserver,
+  parseHTML,
+};
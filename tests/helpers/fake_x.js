@@ -0,0 +1,112 @@
+// fake_x.js - the parts of X's own page behaviour the content scripts use
+//
+// Like buttons toggle to "unlike", reply buttons open the reply dialog from
+// fixtures/reply_dialog.html, the editor takes pasted text and the post
+// button "sends" the reply and closes the dialog. Buttons are recognised by
+// their aria-label, so renaming data-testids (to test the selector
+// fallbacks) doesn't break the fake. Everything that happens is recorded.
+
+const fs = require("fs");
+const path = require("path");
+const { parseHTML } = require("./dom.js");
+
+const REPLY_DIALOG_HTML = fs.readFileSync(
+  path.join(__dirname, "..", "fixtures", "reply_dialog.html"),
+  "utf8"
+);
+
+// options.failPosts: show X's error toast instead of posting
+function installFakeX(document, options = {}) {
+  const x = {
+    likes: [],
+    posts: [],
+    openedDialogs: 0,
+    failPosts: false,
+    ...options,
+  };
+
+  const getStatusPath = (tweet) =>
+    new URL(tweet.querySelector('a[href*="/status/"]').href).pathname;
+
+  const openReplyDialog = (tweet) => {
+    const statusPath = getStatusPath(tweet);
+    const html = REPLY_DIALOG_HTML.replaceAll(
+      "{{statusPath}}",
+      statusPath
+    ).replaceAll("{{author}}", statusPath.split("/")[1]);
+    document.body.append(...parseHTML(html, document));
+    x.openedDialogs++;
+  };
+
+  const toggleLike = (button, tweet) => {
+    const label = button.getAttribute("aria-label");
+    const liked = /Liked$/.test(label);
+    button.setAttribute(
+      "aria-label",
+      liked ? label.replace(/Liked$/, "Like") : label.replace(/Like$/, "Liked")
+    );
+    const testId = button.getAttribute("data-testid");
+    if (testId === "like" || testId === "unlike") {
+      button.setAttribute("data-testid", liked ? "like" : "unlike");
+    }
+    if (!liked) x.likes.push(getStatusPath(tweet));
+  };
+
+  const post = (dialog) => {
+    const editor = dialog.querySelector('[contenteditable="true"]');
+    if (x.failPosts) {
+      const toast = document.createElement("div");
+      toast.setAttribute("data-testid", "toast");
+      toast.textContent = "Something went wrong, but don't fret. Try again.";
+      document.body.appendChild(toast);
+      return;
+    }
+    x.posts.push({
+      statusPath: new URL(dialog.querySelector('a[href*="/status/"]').href)
+        .pathname,
+      text: editor.textContent,
+    });
+    dialog.remove();
+  };
+
+  document.addEventListener("click", (event) => {
+    const button = event.target.closest("button");
+    if (!button) return;
+    const label = button.getAttribute("aria-label") || "";
+    const tweet = button.closest("article");
+    const dialog = button.closest('[role="dialog"]');
+
+    if (dialog && button.getAttribute("aria-disabled") !== "true") {
+      post(dialog);
+    } else if (tweet && /Liked?$/.test(label)) {
+      toggleLike(button, tweet);
+    } else if (tweet && /Reply$/.test(label)) {
+      openReplyDialog(tweet);
+    }
+  });
+
+  // The editor takes pasted text and enables the post button
+  document.addEventListener("paste", (event) => {
+    const editor = event.target.closest('[contenteditable="true"]');
+    const dialog = event.target.closest('[role="dialog"]');
+    if (!editor || !dialog) return;
+
+    event.preventDefault();
+    editor.textContent += event.clipboardData.getData("text/plain");
+    dialog
+      .querySelector('[data-testid="tweetButton"]')
+      .removeAttribute("aria-disabled");
+  });
+
+  // Escape closes open dialogs, like X's modal layer does
+  document.addEventListener("keydown", (event) => {
+    if (event.key !== "Escape") return;
+    for (const dialog of document.querySelectorAll('[role="dialog"]')) {
+      dialog.remove();
+    }
+  });
+
+  return x;
+}
+
+module.exports = { installFakeX };
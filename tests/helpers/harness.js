@@ -0,0 +1,302 @@
+// harness.js - runs the real extension scripts offline
+//
+// The background service worker and each tab's content scripts get their
+// own vm context, loaded in manifest.json order, wired together through the
+// chrome stub. Tabs show fixtures/timeline.html with fake_x.js playing X,
+// and the "local" provider points at the mock LLM server. fetch only
+// reaches 127.0.0.1, so nothing leaves the machine.
+//
+// IndexedDB doesn't exist in Node; history entries go to harness.history.
+//
+// Run the suite with `npm test` (Node 20 or newer, no packages to install).
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const dom = require("./dom.js");
+const {
+  createExtensionWorld,
+  createChrome,
+  fireAlarm,
+  cloneJson,
+} = require("./chrome.js");
+const { installFakeX } = require("./fake_x.js");
+const { startMockLlmServer } = require("./mock_llm_server.js");
+
+const REPO_ROOT = path.join(__dirname, "..", "..");
+const FIXTURES = path.join(__dirname, "..", "fixtures");
+const MANIFEST = JSON.parse(
+  fs.readFileSync(path.join(REPO_ROOT, "manifest.json"), "utf8")
+);
+const WAIT_TIMEOUT_MS = 10000;
+
+// Poll until check() returns something truthy
+async function waitUntil(check, timeoutMs = WAIT_TIMEOUT_MS, message = "") {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    const result = await check();
+    if (result) return result;
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting${message ? ` for ${message}` : ""}`);
+    }
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+}
+
+function readFixture(name) {
+  return fs.readFileSync(path.join(FIXTURES, name), "utf8");
+}
+
+// options.settings: stored on top of the test defaults (local provider)
+// options.verbose: let the extension's console output through
+async function createHarness(options = {}) {
+  const server = await startMockLlmServer();
+  const world = createExtensionWorld(MANIFEST);
+  const timers = new Set();
+  const history = [];
+  const logs = [];
+  let nextTabId = 1;
+  let closed = false;
+
+  world.areas.sync = {
+    settingsVersion: 2,
+    groqModel: "local",
+    localEndpoint: server.url,
+    localModel: "mock-model",
+    ...options.settings,
+  };
+
+  const log =
+    (level) =>
+    (...args) => {
+      logs.push({ level, args });
+      if (options.verbose) console[level](...args);
+    };
+
+  // Timers are tracked so close() can stop whatever the scripts left
+  // running; after close() nothing new is scheduled
+  const createGlobals = (extra) => ({
+    console: {
+      log: log("log"),
+      info: log("info"),
+      warn: log("warn"),
+      error: log("error"),
+      debug: log("debug"),
+    },
+    setTimeout(callback, ms, ...args) {
+      if (closed) return null;
+      const timer = setTimeout(() => {
+        timers.delete(timer);
+        callback(...args);
+      }, ms);
+      timers.add(timer);
+      return timer;
+    },
+    clearTimeout(timer) {
+      timers.delete(timer);
+      clearTimeout(timer);
+    },
+    setInterval(callback, ms, ...args) {
+      if (closed) return null;
+      const timer = setInterval(callback, ms, ...args);
+      timers.add(timer);
+      return timer;
+    },
+    clearInterval(timer) {
+      timers.delete(timer);
+      clearInterval(timer);
+    },
+    queueMicrotask,
+    structuredClone,
+    URL,
+    URLSearchParams,
+    AbortController,
+    TextEncoder,
+    TextDecoder,
+    btoa,
+    atob,
+    crypto: globalThis.crypto,
+    fetch(url, init) {
+      if (new URL(url).hostname !== "127.0.0.1") {
+        return Promise.reject(
+          new TypeError(`Network disabled in tests: ${url}`)
+        );
+      }
+      return fetch(url, init);
+    },
+    ...extra,
+  });
+
+  const loadScript = (context, file) =>
+    vm.runInContext(
+      fs.readFileSync(path.join(REPO_ROOT, file), "utf8"),
+      context,
+      {
+        filename: file,
+      }
+    );
+
+  // Background service worker
+  const backgroundContext = vm.createContext(
+    createGlobals({ chrome: createChrome(world, null) })
+  );
+  backgroundContext.self = backgroundContext;
+  backgroundContext.importScripts = (...files) =>
+    files.forEach((file) => loadScript(backgroundContext, file));
+  loadScript(backgroundContext, MANIFEST.background.service_worker);
+  backgroundContext.addHistoryEntry = async (entry) => {
+    history.push({ timestamp: Date.now(), ...entry });
+    return history.length;
+  };
+  backgroundContext.queryHistory = async ({ from = 0, to = Infinity } = {}) =>
+    history
+      .filter((entry) => entry.timestamp >= from && entry.timestamp <= to)
+      .reverse();
+
+  const harness = {
+    world,
+    server,
+    history,
+    logs,
+    tabs: [],
+    background: {
+      context: backgroundContext,
+      evaluate: (code) => vm.runInContext(code, backgroundContext),
+    },
+
+    // What the popup would send. Answers are copied out of the worker's
+    // context like Chrome does, so assert.deepStrictEqual works on them.
+    sendFromPopup(message) {
+      return new Promise((resolve) => {
+        const listeners = world.backgroundMessages.listeners;
+        const sendResponse = (response) => resolve(cloneJson(response));
+        world.messages.push({ to: "background", message, sender: {} });
+        for (const listener of listeners) {
+          listener(cloneJson(message), {}, sendResponse);
+        }
+      });
+    },
+
+    fireAlarm(name) {
+      fireAlarm(world, name);
+    },
+
+    // Open an X tab and wait until its content scripts have reported in.
+    // prepare(document) can change the fixture before the scripts load.
+    async openTab({
+      fixture = "timeline.html",
+      url = "https://x.com/home",
+      prepare,
+      x: xOptions,
+    } = {}) {
+      const tab = {
+        id: nextTabId++,
+        url,
+        title: "Home / X",
+        active: harness.tabs.length === 0,
+      };
+      world.tabs.set(tab.id, { tab, onMessage: null });
+
+      const document = new dom.Document(readFixture(fixture), url);
+      if (prepare) prepare(document);
+      const x = installFakeX(document, xOptions);
+
+      const context = vm.createContext(
+        createGlobals({
+          chrome: createChrome(world, tab),
+          document,
+          location: document.location,
+          innerHeight: 900,
+          scrollBy() {},
+          MutationObserver: dom.MutationObserver,
+          Event: dom.Event,
+          KeyboardEvent: dom.KeyboardEvent,
+          InputEvent: dom.InputEvent,
+          ClipboardEvent: dom.ClipboardEvent,
+          DataTransfer: dom.DataTransfer,
+        })
+      );
+      context.window = vm.runInContext("this", context);
+      for (const file of MANIFEST.content_scripts[0].js) {
+        loadScript(context, file);
+      }
+
+      const tabHandle = {
+        id: tab.id,
+        tab,
+        context,
+        document,
+        x,
+        evaluate: (code) => vm.runInContext(code, context),
+        // The article for a status ID from the fixture
+        tweet: (statusId) =>
+          document
+            .querySelector(`a[href$="/status/${statusId}"]`)
+            .closest("article"),
+        // One pass of the runner's pipeline over a fixture tweet, with the
+        // reply dice fixed instead of the usual 25% chance. isRunning holds
+        // off the observer path so no other tweet gets touched.
+        engage(statusId, { reply = true } = {}) {
+          context.shouldCommentFast = () => reply;
+          vm.runInContext(
+            "automationEnabled = true; isRunning = true",
+            context
+          );
+          return context.engageWithTweetFast(
+            tabHandle.tweet(statusId),
+            String(statusId)
+          );
+        },
+        close() {
+          world.tabs.delete(tab.id);
+          world.tabEvents.onRemoved.emit(tab.id, { isWindowClosing: false });
+        },
+      };
+      harness.tabs.push(tabHandle);
+
+      await waitUntil(
+        () =>
+          world.messages.some(
+            ({ message, sender }) =>
+              message.type === "tabStatus" && sender.tab?.id === tab.id
+          ),
+        WAIT_TIMEOUT_MS,
+        `tab ${tab.id} to start`
+      );
+      return tabHandle;
+    },
+
+    // Resolves with the history entry once one matches
+    waitForHistory(match, timeoutMs = WAIT_TIMEOUT_MS) {
+      return waitUntil(
+        () => history.find(match),
+        timeoutMs,
+        "a matching history entry"
+      );
+    },
+
+    messagesOfType(type) {
+      return world.messages.filter(({ message }) => message.type === type);
+    },
+
+    async close() {
+      closed = true;
+      for (const timer of timers) {
+        clearTimeout(timer);
+        clearInterval(timer);
+      }
+      timers.clear();
+      await server.close();
+    },
+  };
+  return harness;
+}
+
+// A harness for one test, closed again when the test is done
+async function setupHarness(t, options) {
+  const harness = await createHarness(options);
+  t.after(() => harness.close());
+  return harness;
+}
+
+module.exports = { createHarness, setupHarness, waitUntil, readFixture };
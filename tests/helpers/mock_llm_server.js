@@ -0,0 +1,79 @@
+// mock_llm_server.js - a local stand-in for an LLM provider
+//
+// Speaks the OpenAI chat completions format the "local" provider uses, on
+// 127.0.0.1 only. Tests queue what the next requests get back; anything
+// not scripted gets DEFAULT_REPLY. Every request body is kept.
+
+const http = require("http");
+
+const DEFAULT_REPLY = "Congrats on shipping it, that is a huge win.";
+
+async function startMockLlmServer() {
+  const requests = [];
+  const script = [];
+
+  const server = http.createServer((request, response) => {
+    let body = "";
+    request.on("data", (chunk) => (body += chunk));
+    request.on("end", () => {
+      const json = body ? JSON.parse(body) : {};
+      requests.push({
+        path: request.url,
+        headers: request.headers,
+        body: json,
+        at: Date.now(),
+      });
+
+      const next = script.shift() || { reply: DEFAULT_REPLY };
+      const send = () => {
+        if (next.status) {
+          response.writeHead(next.status, {
+            "Content-Type": "application/json",
+            ...next.headers,
+          });
+          response.end(
+            JSON.stringify({ error: { message: next.message || "Mock error" } })
+          );
+          return;
+        }
+        response.writeHead(200, { "Content-Type": "application/json" });
+        response.end(
+          JSON.stringify({
+            model: json.model,
+            choices: [{ message: { role: "assistant", content: next.reply } }],
+          })
+        );
+      };
+      if (next.delayMs) {
+        setTimeout(send, next.delayMs);
+      } else {
+        send();
+      }
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}/v1/chat/completions`,
+    requests,
+    // The prompt text of every request, in order
+    get prompts() {
+      return requests.map(({ body }) => body.messages?.[0]?.content || "");
+    },
+    reply(text, delayMs = 0) {
+      script.push({ reply: text, delayMs });
+    },
+    // headers: e.g. { "Retry-After": "1" }
+    fail(status, message, headers = {}) {
+      script.push({ status, message, headers });
+    },
+    close() {
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+module.exports = { startMockLlmServer, DEFAULT_REPLY };
@@ -0,0 +1,266 @@
+// The runtime messages between tabs, the popup and the background
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { setupHarness, waitUntil } = require("./helpers/harness.js");
+const { DEFAULT_REPLY } = require("./helpers/mock_llm_server.js");
+
+// Tabs follow the mode without touching the fixture
+const NO_ACTIONS = {
+  settings: { enableLiking: false, enableCommenting: false },
+};
+
+function tabState(harness, tab) {
+  return harness.world.areas.session.tabStatuses?.[tab.id]?.state;
+}
+
+test("ping is answered by the background and by tabs", async (t) => {
+  const harness = await setupHarness(t);
+  const tab = await harness.openTab();
+
+  assert.deepStrictEqual(await harness.sendFromPopup({ type: "ping" }), {
+    status: "alive",
+  });
+  assert.deepStrictEqual(
+    await harness.background.context.chrome.tabs.sendMessage(tab.id, {
+      type: "ping",
+    }),
+    { status: "alive" }
+  );
+});
+
+test("tabs without content scripts get the manifest's scripts", async (t) => {
+  const harness = await setupHarness(t);
+  const tab = await harness.openTab();
+  // As if the tab was open before the extension loaded
+  harness.world.tabs.get(tab.id).onMessage = null;
+
+  await harness.background.context.ensureContentScripts();
+
+  const manifest = require("../manifest.json");
+  assert.deepStrictEqual(harness.world.injections, [
+    { target: { tabId: tab.id }, files: manifest.content_scripts[0].js },
+  ]);
+});
+
+test("groqApiRequest is queued at once and answered by requestId", async (t) => {
+  const harness = await setupHarness(t);
+  const tab = await harness.openTab();
+
+  const ack = await tab.context.chrome.runtime.sendMessage({
+    type: "groqApiRequest",
+    data: {
+      requestId: "req_test_1",
+      prompt: "Shipped a new onboarding flow today.",
+      author: "alice",
+      tweetUrl: "https://x.com/alice/status/1001",
+    },
+  });
+  assert.deepStrictEqual(ack, { status: "queued", requestId: "req_test_1" });
+
+  const response = await waitUntil(
+    () => harness.messagesOfType("groqApiResponse")[0],
+    undefined,
+    "the response"
+  );
+  assert.strictEqual(response.to, tab.id);
+  assert.deepStrictEqual(response.message, {
+    type: "groqApiResponse",
+    requestId: "req_test_1",
+    data: DEFAULT_REPLY,
+    model: "local:mock-model",
+  });
+  await waitUntil(() => harness.world.areas.session.apiQueue?.length === 0);
+});
+
+test("the queue alarm is only set while requests wait", async (t) => {
+  const harness = await setupHarness(t, {
+    settings: { enableLiking: false },
+  });
+  const tab = await harness.openTab();
+  assert.strictEqual(harness.world.alarms.has("apiQueue"), false);
+
+  harness.server.reply(DEFAULT_REPLY, 300);
+  const engaged = tab.engage(1001);
+  await waitUntil(() => harness.world.alarms.has("apiQueue"));
+  await engaged;
+
+  await waitUntil(() => tab.x.posts.length === 1, undefined, "the reply");
+  await waitUntil(() => !harness.world.alarms.has("apiQueue"));
+  assert.deepStrictEqual(harness.world.areas.session.apiQueue, []);
+});
+
+test("setAutomation reaches every tab, only the runner runs", async (t) => {
+  const harness = await setupHarness(t, NO_ACTIONS);
+  const runner = await harness.openTab();
+  const other = await harness.openTab();
+
+  const { state } = await harness.sendFromPopup({
+    type: "setAutomation",
+    mode: "on",
+  });
+  assert.strictEqual(state.mode, "on");
+
+  await waitUntil(
+    () =>
+      tabState(harness, runner) === "running" &&
+      tabState(harness, other) === "standby",
+    undefined,
+    "running and standby"
+  );
+  assert.strictEqual(runner.evaluate("automationEnabled"), true);
+  assert.strictEqual(other.evaluate("automationEnabled"), false);
+  assert.strictEqual(other.evaluate("automationMode"), "on");
+
+  const status = await harness.sendFromPopup({ type: "getAutomationStatus" });
+  assert.strictEqual(status.runnerTabId, runner.id);
+  assert.deepStrictEqual(
+    status.tabs.map((tab) => [tab.tabId, tab.isRunner, tab.state]),
+    [
+      [runner.id, true, "running"],
+      [other.id, false, "standby"],
+    ]
+  );
+
+  await harness.sendFromPopup({ type: "setAutomation", mode: "off" });
+  await waitUntil(
+    () =>
+      tabState(harness, runner) === "idle" &&
+      tabState(harness, other) === "idle",
+    undefined,
+    "both idle"
+  );
+  assert.strictEqual(runner.evaluate("automationEnabled"), false);
+});
+
+test("closing the runner hands automation to the next tab", async (t) => {
+  const harness = await setupHarness(t, NO_ACTIONS);
+  const runner = await harness.openTab();
+  const other = await harness.openTab();
+  await harness.sendFromPopup({ type: "setAutomation", mode: "on" });
+  await waitUntil(() => tabState(harness, other) === "standby");
+
+  runner.close();
+
+  await waitUntil(
+    () => other.evaluate("automationEnabled"),
+    undefined,
+    "the handover"
+  );
+  await waitUntil(() => tabState(harness, other) === "running");
+  const status = await harness.sendFromPopup({ type: "getAutomationStatus" });
+  assert.strictEqual(status.runnerTabId, other.id);
+  await harness.sendFromPopup({ type: "setAutomation", mode: "off" });
+});
+
+test("a draft waits for approval, then posts from the tab", async (t) => {
+  const harness = await setupHarness(t, {
+    settings: { enableLiking: false, draftMode: true },
+  });
+  const tab = await harness.openTab();
+
+  assert.strictEqual(await tab.engage(1001), true);
+
+  const draft = await waitUntil(
+    () => harness.world.areas.local.reviewQueue?.[0],
+    undefined,
+    "the draft"
+  );
+  await waitUntil(
+    () => harness.world.areas.local.reviewQueue[0].reply === DEFAULT_REPLY
+  );
+  assert.strictEqual(draft.tweetUrl, "https://x.com/alice/status/1001");
+  assert.strictEqual(draft.tabId, tab.id);
+  assert.strictEqual(tab.x.openedDialogs, 0);
+
+  const result = await harness.sendFromPopup({
+    type: "approveDraft",
+    draftId: draft.id,
+  });
+
+  assert.deepStrictEqual(result, { status: "posted" });
+  assert.deepStrictEqual(tab.x.posts, [
+    { statusPath: "/alice/status/1001", text: DEFAULT_REPLY },
+  ]);
+  assert.deepStrictEqual(harness.world.areas.local.reviewQueue, []);
+  const entry = await harness.waitForHistory((entry) => entry.type === "reply");
+  assert.strictEqual(entry.reply, DEFAULT_REPLY);
+});
+
+test("review page edits go through the background without losing drafts", async (t) => {
+  const harness = await setupHarness(t);
+  const { addDraft } = harness.background.context;
+
+  // Drafts added side by side all make it into the queue
+  const [first, second] = await Promise.all(
+    ["First", "Second", "Third"].map((reply) =>
+      addDraft({ tweetText: "Hello", reply })
+    )
+  );
+  assert.strictEqual(harness.world.areas.local.reviewQueue.length, 3);
+
+  await Promise.all([
+    harness.sendFromPopup({
+      type: "editDraft",
+      draftId: first.id,
+      reply: "First, edited",
+    }),
+    harness.sendFromPopup({ type: "discardDraft", draftId: second.id }),
+  ]);
+
+  assert.deepStrictEqual(
+    harness.world.areas.local.reviewQueue.map((draft) => draft.reply),
+    ["First, edited", "Third"]
+  );
+});
+
+test("an approved draft still has to fit the reply budget", async (t) => {
+  const harness = await setupHarness(t, {
+    settings: { enableLiking: false, draftMode: true, maxRepliesPerHour: 1 },
+  });
+  const tab = await harness.openTab();
+  await tab.engage(1001);
+  const draft = await waitUntil(
+    () =>
+      harness.world.areas.local.reviewQueue?.[0]?.reply &&
+      harness.world.areas.local.reviewQueue[0],
+    undefined,
+    "the draft"
+  );
+  await harness.background.context.recordBudgetAction("reply");
+
+  const result = await harness.sendFromPopup({
+    type: "approveDraft",
+    draftId: draft.id,
+  });
+
+  assert.deepStrictEqual(result, { status: "failed" });
+  assert.deepStrictEqual(tab.x.posts, []);
+  assert.match(
+    harness.world.areas.local.reviewQueue[0].error,
+    /Hourly reply limit reached/
+  );
+});
+
+test("saving a setting writes only that setting unless it migrates", async (t) => {
+  const harness = await setupHarness(t, NO_ACTIONS);
+  const { sync } = harness.world.areas;
+  const { saveSettings } = harness.background.context;
+  const chromeSync = harness.background.context.chrome.storage.sync;
+  const written = [];
+  const set = chromeSync.set;
+  chromeSync.set = (items) => {
+    written.push(Object.keys(items));
+    return set.call(chromeSync, items);
+  };
+
+  await saveSettings({ dryRun: true });
+  assert.deepStrictEqual(written, [["dryRun"]]);
+
+  // Settings from before the versioning get the migrated values as well
+  delete sync.settingsVersion;
+  await saveSettings({ dryRun: false });
+  assert.ok(written[1].includes("settingsVersion"));
+  assert.strictEqual(sync.settingsVersion, 2);
+  assert.strictEqual(sync.dryRun, false);
+});
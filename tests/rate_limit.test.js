@@ -0,0 +1,131 @@
+// Token buckets, retries with backoff and what a rate limited tab shows
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { setupHarness, waitUntil } = require("./helpers/harness.js");
+const { DEFAULT_REPLY } = require("./helpers/mock_llm_server.js");
+
+const REPLY_ONLY = { settings: { enableLiking: false } };
+
+function gaps(requests) {
+  return requests.slice(1).map((request, i) => request.at - requests[i].at);
+}
+
+test("a 429 is retried once its Retry-After has passed", async (t) => {
+  const harness = await setupHarness(t, REPLY_ONLY);
+  harness.server.fail(429, "Slow down", { "Retry-After": "1" });
+  const tab = await harness.openTab();
+
+  await tab.engage(1001);
+
+  await waitUntil(() => tab.x.posts.length === 1, undefined, "the reply");
+  assert.strictEqual(tab.x.posts[0].text, DEFAULT_REPLY);
+  assert.strictEqual(harness.server.requests.length, 2);
+  assert.ok(gaps(harness.server.requests)[0] >= 1000);
+});
+
+test("5xx responses are retried with a growing backoff", async (t) => {
+  const harness = await setupHarness(t, REPLY_ONLY);
+  harness.server.fail(503, "Overloaded");
+  harness.server.fail(502, "Bad gateway");
+  const tab = await harness.openTab();
+
+  await tab.engage(1001);
+
+  const entry = await harness.waitForHistory((entry) => entry.type === "reply");
+  assert.strictEqual(entry.model, "local:mock-model");
+  const [first, second] = gaps(harness.server.requests);
+  assert.ok(first >= 1000, `first retry after ${first}ms`);
+  assert.ok(second >= 2000, `second retry after ${second}ms`);
+});
+
+test("a tab still rate limited shows it instead of a canned reply", async (t) => {
+  const harness = await setupHarness(t, REPLY_ONLY);
+  harness.server.fail(429, "Slow down", { "Retry-After": "120" });
+  const tab = await harness.openTab();
+
+  await tab.engage(1001);
+
+  const error = await waitUntil(
+    () => harness.messagesOfType("groqApiError")[0],
+    undefined,
+    "the error"
+  );
+  assert.match(error.message.error, /rate limit reached/);
+  assert.ok(error.message.retryAfterMs > 100000);
+  await waitUntil(
+    () =>
+      harness.world.areas.session.tabStatuses?.[tab.id]?.state ===
+      "rate_limited",
+    undefined,
+    "the tab status"
+  );
+  assert.strictEqual(harness.server.requests.length, 1);
+  assert.deepStrictEqual(tab.x.posts, []);
+
+  // Replies wait out the limit without asking again
+  assert.ok(tab.evaluate("repliesPausedUntil") > Date.now() + 100000);
+  assert.strictEqual(await tab.engage(1002), false);
+  assert.strictEqual(tab.x.openedDialogs, 1);
+});
+
+test("the request bucket lets a minute's allowance through, then waits", async (t) => {
+  const harness = await setupHarness(t, REPLY_ONLY);
+  const { acquireRateLimit } = harness.background.context;
+  const limit = { requestsPerMinute: 2, tokensPerMinute: 0 };
+  const deadline = Date.now() + 1000;
+
+  await acquireRateLimit("groq", limit, 100, deadline);
+  await acquireRateLimit("groq", limit, 100, deadline);
+  await assert.rejects(
+    acquireRateLimit("groq", limit, 100, deadline),
+    (error) => {
+      assert.strictEqual(error.status, 429);
+      // One request refills every 30s
+      assert.ok(error.retryAfterMs > 29000 && error.retryAfterMs <= 30000);
+      return true;
+    }
+  );
+  assert.ok(harness.world.areas.session.rateLimitState.groq.requests < 1);
+});
+
+test("the token bucket waits for enough tokens to refill", async (t) => {
+  const harness = await setupHarness(t, REPLY_ONLY);
+  const { acquireRateLimit, blockRateLimit } = harness.background.context;
+  const limit = { requestsPerMinute: 0, tokensPerMinute: 600 };
+
+  await acquireRateLimit("gemini", limit, 500, Date.now() + 1000);
+  // 400 more tokens need 300 to refill, at 10 a second
+  await assert.rejects(
+    acquireRateLimit("gemini", limit, 400, Date.now() + 1000),
+    (error) => error.retryAfterMs > 29000 && error.retryAfterMs <= 30000
+  );
+
+  // A 429 blocks the provider even with tokens to spare
+  await acquireRateLimit("gemini", limit, 50, Date.now() + 1000);
+  await blockRateLimit("gemini", Date.now() + 5000);
+  await assert.rejects(
+    acquireRateLimit("gemini", limit, 1, Date.now() + 1000),
+    (error) => error.retryAfterMs > 4000
+  );
+});
+
+test("a bucket that can't be written stops the call instead of waving it through", async (t) => {
+  const harness = await setupHarness(t, REPLY_ONLY);
+  const { acquireRateLimit, chrome } = harness.background.context;
+  const limit = { requestsPerMinute: 2, tokensPerMinute: 0 };
+  const set = chrome.storage.session.set;
+  chrome.storage.session.set = async () => {
+    throw new Error("Quota exceeded");
+  };
+
+  await assert.rejects(
+    acquireRateLimit("groq", limit, 100, Date.now() + 1000),
+    /Quota exceeded/
+  );
+
+  // The next write isn't held up by the failed one
+  chrome.storage.session.set = set;
+  await acquireRateLimit("groq", limit, 100, Date.now() + 1000);
+  assert.ok(harness.world.areas.session.rateLimitState.groq.requests < 2);
+});
@@ -0,0 +1,130 @@
+// Reply cache keys, reuse across tweets and near-duplicate replies
+
+const test = require("node:test");
+const assert = require("node:assert");
+const { setupHarness, waitUntil } = require("./helpers/harness.js");
+const { DEFAULT_REPLY } = require("./helpers/mock_llm_server.js");
+
+const REPLY_ONLY = { settings: { enableLiking: false } };
+
+const SECOND_REPLY = "Onboarding is the part everyone skips, nice work.";
+
+// The same text as 1001, posted again as 2001
+function repost(document) {
+  document
+    .querySelector('a[href="/alice/status/1001"]')
+    .setAttribute("href", "/alice/status/2001");
+}
+
+function setTweetText(document, statusId, text) {
+  document
+    .querySelector(`a[href$="/status/${statusId}"]`)
+    .closest("article")
+    .querySelector('[data-testid="tweetText"] span').textContent = text;
+}
+
+async function replyTo(tab, statusId) {
+  const posts = tab.x.posts.length;
+  await tab.engage(statusId);
+  await waitUntil(
+    () => tab.x.posts.length > posts,
+    undefined,
+    `the reply to ${statusId}`
+  );
+  return tab.x.posts[tab.x.posts.length - 1];
+}
+
+test("a repost of the same text gets a reply of its own", async (t) => {
+  const harness = await setupHarness(t, REPLY_ONLY);
+  const first = await harness.openTab();
+  await replyTo(first, 1001);
+
+  harness.server.reply(SECOND_REPLY);
+  const second = await harness.openTab({ prepare: repost });
+  const post = await replyTo(second, 2001);
+
+  assert.deepStrictEqual(post, {
+    statusPath: "/alice/status/2001",
+    text: SECOND_REPLY,
+  });
+  assert.strictEqual(harness.server.requests.length, 2);
+});
+
+test("reuse across tweets answers a repost from the cache", async (t) => {
+  const harness = await setupHarness(t, {
+    settings: { enableLiking: false, reuseRepliesAcrossTweets: true },
+  });
+  const first = await harness.openTab();
+  await replyTo(first, 1001);
+
+  const second = await harness.openTab({ prepare: repost });
+  const post = await replyTo(second, 2001);
+
+  assert.strictEqual(post.text, DEFAULT_REPLY);
+  assert.strictEqual(harness.server.requests.length, 1);
+});
+
+test("tweets that only share their opening aren't mixed up", async (t) => {
+  const harness = await setupHarness(t, REPLY_ONLY);
+  const opening =
+    "Just shipped a new version of the desktop app for everyone: ";
+  const tab = await harness.openTab({
+    prepare(document) {
+      setTweetText(document, 1001, `${opening}dark mode`);
+      setTweetText(document, 1002, `${opening}offline sync`);
+    },
+  });
+
+  await replyTo(tab, 1001);
+  harness.server.reply(SECOND_REPLY);
+  const post = await replyTo(tab, 1002);
+
+  assert.strictEqual(post.text, SECOND_REPLY);
+  assert.strictEqual(harness.server.requests.length, 2);
+  assert.match(harness.server.prompts[1], /offline sync/);
+});
+
+test("a reply close to one already posted is regenerated", async (t) => {
+  const harness = await setupHarness(t, REPLY_ONLY);
+  const tab = await harness.openTab();
+  await replyTo(tab, 1001);
+  await waitUntil(() => harness.world.areas.local.postedReplies?.length === 1);
+
+  harness.server.reply("Congrats on shipping it - that's a HUGE win!");
+  harness.server.reply(SECOND_REPLY);
+  const post = await replyTo(tab, 1002);
+
+  assert.strictEqual(post.text, SECOND_REPLY);
+  const rejected = await harness.waitForHistory(
+    (entry) => entry.type === "moderation_rejected"
+  );
+  assert.match(rejected.error, /too close to an earlier reply/);
+});
+
+test("cached replies expire and the oldest go past the size limit", async (t) => {
+  const harness = await setupHarness(t, REPLY_ONLY);
+  const { cacheReply, getCachedReply } = harness.background.context;
+  const settings = { replyCacheSize: 2, replyCacheTtlMinutes: 60 };
+
+  for (const key of ["a", "b", "c"]) {
+    await cacheReply(
+      key,
+      { reply: `Reply ${key}`, model: "local:mock-model", tweetUrl: key },
+      settings
+    );
+  }
+  const cache = harness.world.areas.local.replyCache;
+  assert.deepStrictEqual(
+    cache.map((entry) => entry.key),
+    ["b", "c"]
+  );
+
+  cache[0].cachedAt = Date.now() - 61 * 60 * 1000;
+  assert.strictEqual(await getCachedReply("b", "b", settings), null);
+  assert.strictEqual(
+    (await getCachedReply("c", "c", settings)).reply,
+    "Reply c"
+  );
+  // Another tweet doesn't get c's reply unless reuse is on
+  assert.strictEqual(await getCachedReply("c", "d", settings), null);
+});
@@ -0,0 +1,102 @@
+// tweet_context.js - collects what a reply needs to know about a tweet
+//
+// Loaded before content_script.js. Besides the tweet's own text this picks
+// up the author's display name, a quoted tweet, image alt text and the
+// parent tweets of a thread that are visible on the page.
+
+const MAX_CONTEXT_PARENTS = 3;
+
+// { name, handle } from the User-Name block of a tweet or quoted tweet
+function getUserNameInfo(scope) {
+  const userName = queryElement(scope, "userName");
+  if (!userName) return { name: "", handle: "" };
+
+  const name = userName.querySelector("span")?.textContent.trim() || "";
+  const handleText = Array.from(userName.querySelectorAll("span"))
+    .map((span) => span.textContent.trim())
+    .find((text) => text.startsWith("@"));
+  return { name, handle: (handleText || "").replace(/^@/, "") };
+}
+
+// Quote tweets render as a nested role="link" card with its own text
+function getQuotedTweet(tweet) {
+  const card = Array.from(tweet.querySelectorAll('div[role="link"]')).find(
+    (element) => queryElement(element, "tweetText")
+  );
+  if (!card) return null;
+
+  return {
+    author: getUserNameInfo(card),
+    text: queryElement(card, "tweetText").textContent.trim(),
+  };
+}
+
+function getImageAltTexts(tweet) {
+  return queryElements(tweet, "tweetPhoto")
+    .map((img) => (img.getAttribute("alt") || "").trim())
+    .filter((alt) => alt && alt !== "Image");
+}
+
+// Handles from the "Replying to @a @b" line, lowercased
+function getReplyingToHandles(tweet) {
+  const line = Array.from(tweet.querySelectorAll("div[dir]")).find((element) =>
+    element.textContent.trim().startsWith("Replying to")
+  );
+  if (!line) return [];
+  return (line.textContent.match(/@\w+/g) || []).map((handle) =>
+    handle.substring(1).toLowerCase()
+  );
+}
+
+// On a status page everything above the tweet is its conversation. In a
+// timeline only the directly preceding tweets by the people it replies to
+// count as parents.
+function getParentTweets(tweet) {
+  const articles = queryElements(document, "tweet");
+  const index = articles.indexOf(tweet);
+  if (index <= 0) return [];
+
+  const onStatusPage = /\/status\/\d+/.test(location.pathname);
+  const replyingTo = getReplyingToHandles(tweet);
+  const parents = [];
+
+  for (let i = index - 1; i >= 0 && parents.length < MAX_CONTEXT_PARENTS; i--) {
+    const author = getUserNameInfo(articles[i]);
+    if (!onStatusPage && !replyingTo.includes(author.handle.toLowerCase())) {
+      break;
+    }
+
+    const textElement = queryElement(articles[i], "tweetText");
+    parents.unshift({
+      author,
+      text: textElement ? textElement.textContent.trim() : "",
+    });
+  }
+  return parents;
+}
+
+// X's own lang attribute first, local detection when it is missing or "und"
+function getTweetLanguage(tweet) {
+  const textElement = queryElement(tweet, "tweetText");
+  if (!textElement) return "";
+  return (
+    normalizeLanguageCode(textElement.getAttribute("lang")) ||
+    detectLanguage(textElement.textContent)
+  );
+}
+
+// Structured context sent with every reply request
+function extractTweetContext(tweet) {
+  // The tweet's own text, not the one inside a quoted card
+  const textElement = queryElements(tweet, "tweetText").find(
+    (element) => !element.closest('div[role="link"]')
+  );
+  return {
+    author: getUserNameInfo(tweet),
+    text: textElement ? textElement.textContent.trim() : "",
+    lang: getTweetLanguage(tweet),
+    quoted: getQuotedTweet(tweet),
+    images: getImageAltTexts(tweet),
+    parents: getParentTweets(tweet),
+  };
+}